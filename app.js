@@ -1,15 +1,132 @@
 ﻿/*
   app.js — Logique principale de l'application To‑Do (commentaires en français)
-  - Authentification locale (localStorage) avec hash du mot de passe
+  - Authentification locale avec hash du mot de passe
+  - Stockage via un adaptateur: IndexedDB (une entrée par tâche), sinon localStorage (voir storage.js)
+  - Version du schéma des données et migrations du stockage et des sauvegardes (voir migrations.js)
+  - Synchronisation entre onglets: session, comptes, réglages et fusion des tâches (voir sync.js)
   - Gestion de session et des utilisateurs
   - Gestion des tâches (création, édition, suppression) par utilisateur
+  - Panneau de détail pour modifier tous les champs d'une tâche
+  - Historique annuler/rétablir (persistant par compte)
+  - Corbeille par compte (restauration, purge automatique après N jours)
+  - Archive des tâches terminées (groupée, automatique après N jours, vue Archive)
+  - Date de report (deferUntil): tâches masquées jusqu'à cette date, liste "Upcoming"
+  - Vue tableau (Kanban) avec colonnes personnalisables par compte
+  - Calendrier mensuel (portée "month" de l'agenda)
+  - Planning de la semaine (portée "week"): glisser ou Alt+←/→ pour changer l'échéance
+  - Heure de début et durée, chronologie de la journée avec alerte de chevauchement
+  - Rappels (API Notification) et centre de notifications avec report (voir reminders.js)
   - Agenda (jour/semaine) pour filtrer/planifier
+  - Échéances en dates locales yyyy-mm-dd, sans passage par UTC (voir dates.js)
+  - Tâches récurrentes (voir recurrence.js)
+  - Description en Markdown assaini (voir markdown.js) et checklist de sous-tâches
+  - Projets et tags (avec barre de filtres)
+  - Recherche plein texte et requêtes structurées (voir search.js et query.js)
+  - Vues enregistrées (filtre + tri + agenda + recherche) par compte
   - Menu (connexion/déconnexion, export CSV de la liste affichée)
 */
 
-const TASK_KEY_PREFIX = 'todo.tasks.v1.';
+import {
+  addDaysISO,
+  addMonthsISO,
+  daysBetweenISO,
+  formatISODate,
+  getMonthRangeISO,
+  getWeekRangeISO,
+  isPastDue,
+  normalizeDate,
+  parseISODate,
+  todayISO,
+} from './dates.js';
+import { formatRecurrence, nextOccurrence, normalizeRecurrence, projectOccurrences } from './recurrence.js';
+import {
+  DEFAULT_REMINDER_TIME,
+  dismissReminder,
+  formatReminder,
+  getDueReminders,
+  getFiredReminders,
+  getReminderTime,
+  getUpcomingReminders,
+  markReminderFired,
+  normalizeReminder,
+  normalizeReminderAt,
+  reminderForOccurrence,
+  reminderForReschedule,
+  resetReminder,
+  snoozeReminder,
+  splitBeforeMinutes,
+  toBeforeMinutes,
+} from './reminders.js';
+import { escapeHtml, renderMarkdown } from './markdown.js';
+import { applyHistoryChanges, diffTaskLists, limitHistoryStack, pushHistoryEntry } from './history.js';
+import { purgeExpiredTrash } from './trash.js';
+import { migrate, MigrationError, readVersion, SCHEMA_VERSION } from './migrations.js';
+import { compareOrder, getTopOrder, moveInOrder, normalizeOrder } from './ordering.js';
+import { evaluateQuery, getHighlightTerms, parseQuery, QueryError, revealsStatus } from './query.js';
+import { findMatchRanges } from './search.js';
+import {
+  createEncryptionSettings,
+  createKeyCheck,
+  decryptVault,
+  deriveVaultKey,
+  encryptVault,
+  isEncryptionSupported,
+  isVaultKey,
+  isVaultPayload,
+} from './crypto-store.js';
+import { createLocalStorageAdapter, openStorage, TASKS_KEY_PREFIX as TASK_KEY_PREFIX } from './storage.js';
+import { formatBytes, getUsageByAccount, guardWrites, isNearlyFull, isQuotaError, LOCAL_STORAGE_QUOTA } from './storage-health.js';
+import { connectTabs, isSameTaskList, mergeTaskLists } from './sync.js';
+import { getUpcomingDate, groupByDay, isDeferred, matchesSmartList, SMART_LISTS, UPCOMING_DAYS } from './smart-lists.js';
+import {
+  DEFAULT_DURATION,
+  findOverlaps,
+  formatTimeRange,
+  layoutTimeline,
+  minutesToTime,
+  normalizeDuration,
+  normalizeTime,
+  SNAP_MINUTES,
+  snapMinutes,
+  timeToMinutes,
+} from './timeline.js';
+
 const USERS_KEY = 'todo.users.v1';
 const SESSION_KEY = 'todo.session.v1';
+const VIEWS_KEY_PREFIX = 'todo.views.v1.';
+const HISTORY_KEY_PREFIX = 'todo.history.v1.';
+const TRASH_KEY_PREFIX = 'todo.trash.v1.';
+const SETTINGS_KEY_PREFIX = 'todo.settings.v1.';
+const BOARD_KEY_PREFIX = 'todo.board.v1.';
+// Coffre chiffré d'un compte (tâches, corbeille et historique, voir crypto-store.js)
+const VAULT_KEY_PREFIX = 'todo.vault.v1.';
+// Version du schéma des données enregistrées (voir migrations.js)
+const SCHEMA_KEY = 'todo.schema.version';
+// Colonne "Done": toujours présente, synchronisée avec task.completed
+const DONE_COLUMN_ID = 'done';
+const DEFAULT_BOARD_COLUMNS = [
+  { id: 'todo', name: 'To do' },
+  { id: 'doing', name: 'Doing' },
+  { id: 'blocked', name: 'Blocked' },
+  { id: DONE_COLUMN_ID, name: 'Done' },
+];
+// Durée de conservation par défaut des tâches dans la corbeille (0 = jamais purgées)
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Nombre de tâches affichées par case du calendrier avant "+N more"
+const MAX_CALENDAR_ITEMS = 3;
+// Vérification des rappels (ms), reports proposés dans le centre de notifications
+const REMINDER_CHECK_MS = 30 * 1000;
+// Délai (ms) avant de mesurer l'espace utilisé après une sauvegarde
+const STORAGE_CHECK_DELAY_MS = 2000;
+const SNOOZE_OPTIONS = [
+  { minutes: 10, label: '+10 min', title: '10 minutes' },
+  { minutes: 60, label: '+1 h', title: '1 hour' },
+  { minutes: 24 * 60, label: '+1 day', title: '1 day' },
+];
+const MAX_UPCOMING_REMINDERS = 20;
+// Hauteur (px) d'une heure dans la chronologie de la journée
+const HOUR_HEIGHT = 48;
 
 const authSection = document.getElementById('auth-section');
 const appSection = document.getElementById('app-section');
@@ -18,6 +135,8 @@ const loginForm = document.getElementById('login-form');
 const registerForm = document.getElementById('register-form');
 const currentUsernameElement = document.getElementById('current-username');
 const currentModeLabel = document.getElementById('current-mode-label');
+const undoButton = document.getElementById('undo-button');
+const redoButton = document.getElementById('redo-button');
 // Top-right menu
 const menuButton = document.getElementById('menu-button');
 const menuPopover = document.getElementById('menu-popover');
@@ -27,17 +146,93 @@ const menuImportBackupBtn = document.getElementById('menu-import-backup');
 const menuImportBackupFile = document.getElementById('menu-import-backup-file');
 const menuAuthBtn = document.getElementById('menu-auth');
 const menuReadonlyAccountSelect = document.getElementById('menu-readonly-account');
+const menuViewsList = document.getElementById('menu-views-list');
+const menuSaveViewBtn = document.getElementById('menu-save-view');
+const menuTrashBtn = document.getElementById('menu-trash');
+const menuEncryptionBtn = document.getElementById('menu-encryption');
 
 const form = document.getElementById('new-task-form');
 const input = document.getElementById('new-title');
 const dueInput = document.getElementById('new-due');
 const prioritySelect = document.getElementById('new-priority');
 const colorInput = document.getElementById('new-color');
+const projectInput = document.getElementById('new-project');
+const tagsInput = document.getElementById('new-tags');
+const descriptionInput = document.getElementById('new-description');
+const startTimeInput = document.getElementById('new-start');
+const durationInput = document.getElementById('new-duration');
+const projectOptions = document.getElementById('project-options');
+// Répétition (règle de récurrence)
+const recurrenceFieldset = document.getElementById('new-recurrence');
+const repeatSelect = document.getElementById('new-repeat');
+// Panneau de détail (dialog)
+const taskDialog = document.getElementById('task-dialog');
+const taskDialogForm = document.getElementById('task-dialog-form');
+const taskDialogError = document.getElementById('task-dialog-error');
+const taskDialogCancelBtn = document.getElementById('task-dialog-cancel');
+const layoutButtons = document.querySelectorAll('[data-layout]');
+const timeline = document.getElementById('timeline');
+const timelineGrid = document.getElementById('timeline-grid');
+const timelineAnytime = document.getElementById('timeline-anytime');
+const timelineWarning = document.getElementById('timeline-warning');
+const weekPlanner = document.getElementById('week-planner');
+const weekPlannerDays = document.getElementById('week-planner-days');
+const plannerTrayList = document.getElementById('planner-tray-list');
+const calendar = document.getElementById('calendar');
+const calendarTitle = document.getElementById('calendar-title');
+const calendarGrid = document.getElementById('calendar-grid');
+const board = document.getElementById('board');
+const boardColumnsContainer = document.getElementById('board-columns');
+const boardAddColumnBtn = document.getElementById('board-add-column');
+const archiveCompletedBtn = document.getElementById('archive-completed');
+const autoArchiveInput = document.getElementById('auto-archive-days');
+const hideDeferredInput = document.getElementById('hide-deferred');
+const trashDialog = document.getElementById('trash-dialog');
+const trashList = document.getElementById('trash-list');
+const trashSummary = document.getElementById('trash-summary');
+const trashRetentionInput = document.getElementById('trash-retention');
+const trashEmptyBtn = document.getElementById('trash-empty');
+const trashCloseBtn = document.getElementById('trash-close');
+// Alerte de stockage (écriture refusée ou espace presque plein)
+const storageWarning = document.getElementById('storage-warning');
+const storageWarningMessage = document.getElementById('storage-warning-message');
+const storageUsageList = document.getElementById('storage-usage');
+const storageWarningHint = document.getElementById('storage-warning-hint');
+const storageExportBtn = document.getElementById('storage-export');
+const storageEmptyTrashBtn = document.getElementById('storage-empty-trash');
+const storagePurgeArchivedBtn = document.getElementById('storage-purge-archived');
+const storageClearHistoryBtn = document.getElementById('storage-clear-history');
+// Chiffrement du compte
+const registerEncryptGroup = document.getElementById('register-encrypt-group');
+const encryptionDialog = document.getElementById('encryption-dialog');
+const encryptionForm = document.getElementById('encryption-form');
+const encryptionMessage = document.getElementById('encryption-message');
+const encryptionTitle = document.getElementById('encryption-dialog-title');
+const encryptionEnableHint = document.getElementById('encryption-enable-hint');
+const encryptionDisableHint = document.getElementById('encryption-disable-hint');
+const encryptionSubmitBtn = document.getElementById('encryption-submit');
+const encryptionCancelBtn = document.getElementById('encryption-cancel');
+const detailRecurrenceFieldset = document.getElementById('detail-recurrence');
+const detailReminderFieldset = document.getElementById('detail-reminder');
+const notificationsBtn = document.getElementById('notifications-button');
+const notificationsDialog = document.getElementById('notifications-dialog');
+const notificationsPermission = document.getElementById('notifications-permission');
+const notificationsEnableBtn = document.getElementById('notifications-enable');
+const notificationsFiredList = document.getElementById('notifications-fired');
+const notificationsUpcomingList = document.getElementById('notifications-upcoming');
+const notificationsCloseBtn = document.getElementById('notifications-close');
 const list = document.getElementById('list');
 const emptyMessage = document.getElementById('empty');
 const template = document.getElementById('task-template');
-const filterButtons = Array.from(document.querySelectorAll('.filters button'));
+const subtaskTemplate = document.getElementById('subtask-template');
+const filterButtons = Array.from(document.querySelectorAll('.filters button[data-filter]'));
 const sortSelect = document.getElementById('sort');
+// Filtres projet/tags
+const projectFilterSelect = document.getElementById('project-filter');
+const tagFilterList = document.getElementById('tag-filter-list');
+const tagMatchSelect = document.getElementById('tag-match');
+const searchInput = document.getElementById('search');
+const searchError = document.getElementById('search-error');
 // Agenda controls
 const agendaSection = document.getElementById('agenda');
 const agendaDateInput = document.getElementById('agenda-date');
@@ -55,12 +250,48 @@ if (sortSelect && sortSelect.options && sortSelect.options.length > 0) {
   defaultSortValue = sortSelect.value || defaultSortValue;
 }
 
+// Stockage: localStorage jusqu'à ce que openStorage ait ouvert IndexedDB (avant initialize)
+// Écriture refusée: l'erreur est signalée (reportStorageError), l'état en mémoire est gardé
+let store = guardWrites(createLocalStorageAdapter(window.localStorage), reportStorageError);
+// Dernière écriture refusée { error, key } (null tant que tout est enregistré)
+let storageFailure = null;
+let storageCheckTimer = null;
+// Table des utilisateurs qui n'a pas pu être enregistrée (voir saveUsers)
+let unsavedUsers = null;
+// Coffre ouvert du compte connecté s'il est chiffré: { accountId, key, data } (clé oubliée à la déconnexion)
+let vaultSession = null;
+// File des écritures du coffre: chiffrées et enregistrées dans l'ordre des sauvegardes
+let vaultWrites = Promise.resolve();
 let tasks = [];
+// Dernière liste de tâches reçue d'un autre onglet (ou chargée): base de la fusion, voir handleRemoteChange
+let syncedTasks = [];
+// Vues enregistrées du compte affiché
+let savedViews = [];
+// Historique du compte connecté: { undo: [...], redo: [...] }
+let history = { undo: [], redo: [] };
+// Corbeille du compte connecté (tâches avec deletedAt) et réglages du compte
+let trash = [];
+let settings = normalizeSettings();
+// Colonnes du tableau Kanban du compte affiché
+let boardColumns = normalizeBoardColumns();
+// Glisser en cours dans la chronologie et dernier jour sur lequel elle a défilé
+let timelinePointer = null;
+let timelineScrolledFor = null;
 let currentAccount = null;
 let previewAccount = null;
 let currentFilter = 'all';
 let currentSort = sortSelect ? sortSelect.value : defaultSortValue;
+// Filtre projet ('' = tous, NO_PROJECT = sans projet) et tags sélectionnés
+const NO_PROJECT = '__none__';
+let currentProject = '';
+let selectedTags = [];
+let tagMatchMode = 'any';
+// Texte de recherche / requête (voir query.js)
+let searchQuery = '';
 let pendingFocus = null;
+// Tâches dont la checklist / la description est dépliée (conservé entre deux rendus)
+const expandedSubtasks = new Set();
+const expandedDescriptions = new Set();
 // Agenda state: scope can be 'all' | 'day' | 'week'
 let agendaScope = 'all';
 let agendaDate = todayISO();
@@ -90,7 +321,7 @@ if (menuExportBtn) {
 if (menuExportBackupBtn) {
   menuExportBackupBtn.addEventListener('click', () => {
     closeMenu();
-    exportBackup();
+    requestBackupExport();
   });
 }
 if (menuImportBackupBtn) {
@@ -117,7 +348,7 @@ if (menuImportBackupFile) {
       const text = await file.text();
       importBackupFromText(text);
     } catch (error) {
-      setAuthMessage('Import impossible: fichier invalide.', true);
+      setAuthMessage(error instanceof MigrationError ? `Import impossible: ${error.message}` : 'Import impossible: fichier invalide.', true);
     }
   });
 }
@@ -143,6 +374,37 @@ if (menuReadonlyAccountSelect) {
     closeMenu();
   });
 }
+if (menuSaveViewBtn) {
+  menuSaveViewBtn.addEventListener('click', () => {
+    closeMenu();
+    saveCurrentView();
+  });
+}
+if (menuTrashBtn) {
+  menuTrashBtn.addEventListener('click', () => {
+    closeMenu();
+    openTrashDialog();
+  });
+}
+if (menuEncryptionBtn) {
+  menuEncryptionBtn.addEventListener('click', () => {
+    closeMenu();
+    openEncryptionDialog();
+  });
+}
+if (menuViewsList) {
+  menuViewsList.addEventListener('click', (e) => {
+    const deleteBtn = e.target.closest('button[data-delete-view]');
+    if (deleteBtn) {
+      deleteSavedView(deleteBtn.dataset.deleteView);
+      return;
+    }
+    const viewBtn = e.target.closest('button[data-view]');
+    if (!viewBtn) return;
+    closeMenu();
+    applySavedView(viewBtn.dataset.view);
+  });
+}
 document.addEventListener('click', (e) => {
   if (!menuPopover || !menuButton) return;
   const expanded = menuButton.getAttribute('aria-expanded') === 'true';
@@ -158,6 +420,20 @@ document.addEventListener('keydown', (e) => {
   }
 });
 
+if (undoButton) {
+  undoButton.addEventListener('click', () => undo());
+}
+if (redoButton) {
+  redoButton.addEventListener('click', () => redo());
+}
+// Ctrl+Z / Ctrl+Shift+Z (Cmd sur macOS); les champs texte gardent leur annulation native
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+  if (isTextEntryTarget(e.target) || document.querySelector('dialog[open]')) return;
+  e.preventDefault();
+  if (e.shiftKey) redo(); else undo();
+});
+
 if (form) {
   form.addEventListener('submit', event => {
     event.preventDefault();
@@ -177,31 +453,323 @@ if (form) {
     }
 
     const timestamp = new Date().toISOString();
-    const dueAt = normalizeDate(dueInput.value);
+    const recurrence = readRecurrenceFields(recurrenceFieldset);
+    // Une tâche récurrente a besoin d'une date de départ: aujourd'hui par défaut
+    const dueAt = normalizeDate(dueInput.value) || (recurrence ? todayISO() : undefined);
     const priority = normalizePriority(prioritySelect.value);
     const color = normalizeColor(colorInput ? colorInput.value : undefined);
+    const project = normalizeProject(projectInput ? projectInput.value : undefined);
+    const tags = normalizeTags(tagsInput ? tagsInput.value : undefined);
+    const description = normalizeDescription(descriptionInput ? descriptionInput.value : undefined);
+    const startTime = normalizeTime(startTimeInput ? startTimeInput.value : undefined);
+    const duration = startTime ? normalizeDuration(durationInput ? durationInput.value : undefined) : undefined;
+    const id = createId();
     const task = {
-      id: createId(),
+      id,
       title,
       completed: false,
       createdAt: timestamp,
       updatedAt: timestamp,
-      description: undefined,
+      description,
       dueAt,
       priority,
       color,
+      project,
+      tags,
+      startTime,
+      duration,
+      subtasks: [],
+      // Tri manuel: la nouvelle tâche se place en tête sans déplacer les autres
+      order: getTopOrder(tasks),
+      recurrence,
+      occurrence: recurrence ? 1 : undefined,
+      seriesId: recurrence ? id : undefined,
     };
 
+    const previous = tasks;
     tasks = [task, ...tasks];
+    recordHistory(`Add "${title}"`, previous);
     saveTasks();
     render();
 
     form.reset();
     if (colorInput) colorInput.value = '#2684ff';
+    updateRecurrenceFields(recurrenceFieldset);
     input.focus();
   });
 }
 
+if (repeatSelect) {
+  repeatSelect.addEventListener('change', () => updateRecurrenceFields(recurrenceFieldset));
+}
+
+if (taskDialogForm) {
+  taskDialogForm.addEventListener('submit', event => {
+    event.preventDefault();
+    saveTaskDialog();
+  });
+  taskDialogForm.addEventListener('keydown', event => {
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      saveTaskDialog();
+    }
+  });
+  // Choisir une couleur décoche "No color"
+  const detailColor = taskDialogForm.querySelector('[name="color"]');
+  const detailNoColor = taskDialogForm.querySelector('[name="noColor"]');
+  if (detailColor && detailNoColor) {
+    detailColor.addEventListener('input', () => { detailNoColor.checked = false; });
+  }
+  const detailRepeat = taskDialogForm.querySelector('[name="repeat"]');
+  if (detailRepeat) {
+    detailRepeat.addEventListener('change', () => updateRecurrenceFields(detailRecurrenceFieldset));
+  }
+  const detailReminderMode = taskDialogForm.querySelector('[name="reminderMode"]');
+  if (detailReminderMode) {
+    detailReminderMode.addEventListener('change', () => {
+      // Rappel à heure fixe: proposer l'échéance (ou aujourd'hui) à l'heure de début
+      const atField = taskDialogForm.querySelector('[name="reminderAt"]');
+      if (detailReminderMode.value === 'at' && atField && !atField.value) {
+        const due = normalizeDate(taskDialogForm.querySelector('[name="dueAt"]').value) || todayISO();
+        const start = normalizeTime(taskDialogForm.querySelector('[name="startTime"]').value);
+        atField.value = `${due}T${start || DEFAULT_REMINDER_TIME}`;
+      }
+      updateReminderFields();
+    });
+  }
+}
+if (taskDialogCancelBtn) {
+  taskDialogCancelBtn.addEventListener('click', () => closeTaskDialog());
+}
+if (taskDialog) {
+  // Échap (événement "cancel" natif du dialog) = annuler
+  taskDialog.addEventListener('cancel', event => {
+    event.preventDefault();
+    closeTaskDialog();
+  });
+}
+
+layoutButtons.forEach(button => {
+  button.addEventListener('click', () => setLayout(button.dataset.layout));
+});
+
+if (boardAddColumnBtn) {
+  boardAddColumnBtn.addEventListener('click', () => addBoardColumn());
+}
+if (boardColumnsContainer) {
+  boardColumnsContainer.addEventListener('click', event => {
+    const columnAction = event.target.closest('button[data-column-action]');
+    if (columnAction) {
+      const columnId = columnAction.closest('.board-column').dataset.column;
+      const action = columnAction.dataset.columnAction;
+      if (action === 'rename') renameBoardColumn(columnId);
+      else if (action === 'left') moveBoardColumn(columnId, -1);
+      else if (action === 'right') moveBoardColumn(columnId, 1);
+      return;
+    }
+    const moveBtn = event.target.closest('button[data-card-move]');
+    if (moveBtn) {
+      const card = moveBtn.closest('.board-card');
+      const column = moveBtn.closest('.board-column');
+      const index = boardColumns.findIndex(item => item.id === column.dataset.column);
+      const delta = Number(moveBtn.dataset.cardMove);
+      const target = boardColumns[index + delta];
+      if (!target) return;
+      // Garder le focus sur la carte déplacée (bouton opposé si elle atteint un bord)
+      const atEdge = index + delta === 0 || index + delta === boardColumns.length - 1;
+      pendingFocus = { type: 'element', selector: `.board-card[data-id="${card.dataset.id}"] button[data-card-move="${atEdge ? -delta : delta}"]` };
+      moveTaskToColumn(card.dataset.id, target.id);
+      return;
+    }
+    const card = event.target.closest('.board-card');
+    if (card && !isReadOnlyMode() && event.target.closest('.board-card-title')) {
+      openTaskDialog(card.dataset.id);
+    }
+  });
+  setupDragAndDrop(boardColumnsContainer, '.board-card', '.board-column', (id, column) => {
+    moveTaskToColumn(id, column.dataset.column);
+  });
+}
+
+if (timeline) {
+  // Les tâches sans heure se déposent sur un créneau horaire, y compris sur une tâche qui le recouvre
+  setupDragAndDrop(timeline, '.timeline-anytime-item', '.timeline-slot', (id, slot) => {
+    pendingFocus = { type: 'element', selector: `.timeline-event[data-id="${id}"]` };
+    updateTaskTime(id, { startTime: minutesToTime(Number(slot.dataset.hour) * 60) });
+  }, event => findTimelineSlot(event));
+  timeline.addEventListener('pointerdown', event => startTimelinePointer(event));
+  timeline.addEventListener('pointermove', event => moveTimelinePointer(event));
+  timeline.addEventListener('pointerup', event => endTimelinePointer(event));
+  timeline.addEventListener('pointercancel', () => {
+    timelinePointer = null;
+    render();
+  });
+  // Alt+↑/↓ déplace de 15 min, Alt+Maj+↑/↓ change la durée
+  timeline.addEventListener('keydown', event => {
+    const eventEl = event.target.closest('.timeline-event');
+    if (event.key === 'Enter' && eventEl && !eventEl.classList.contains('projected')) {
+      openTaskDialog(eventEl.dataset.id);
+      return;
+    }
+    if (!event.altKey || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) return;
+    if (!eventEl || eventEl.classList.contains('projected') || !currentAccount) return;
+    const task = findTask(eventEl.dataset.id);
+    if (!task || !task.startTime) return;
+    event.preventDefault();
+    const delta = event.key === 'ArrowUp' ? -SNAP_MINUTES : SNAP_MINUTES;
+    const duration = task.duration || DEFAULT_DURATION;
+    const start = timeToMinutes(task.startTime);
+    pendingFocus = { type: 'element', selector: `.timeline-event[data-id="${task.id}"]` };
+    if (event.shiftKey) {
+      updateTaskTime(task.id, { duration: clampDuration(start, duration + delta) });
+    } else {
+      updateTaskTime(task.id, { startTime: minutesToTime(clampStart(start + delta, duration)) });
+    }
+  });
+}
+
+if (weekPlanner) {
+  setupDragAndDrop(weekPlanner, '.planner-card', '[data-date]', (id, zone) => {
+    pendingFocus = { type: 'element', selector: `.planner-card[data-id="${id}"]` };
+    rescheduleTask(id, zone.dataset.date || undefined);
+  });
+  weekPlanner.addEventListener('click', event => {
+    const dayBtn = event.target.closest('button[data-open-day]');
+    if (dayBtn) {
+      openAgendaDay(dayBtn.dataset.openDay);
+      return;
+    }
+    const title = event.target.closest('.planner-card-title');
+    const card = title ? title.closest('.planner-card') : null;
+    if (card && !card.classList.contains('projected') && !isReadOnlyMode()) {
+      openTaskDialog(card.dataset.id);
+    }
+  });
+  // Alt+← / Alt+→ : échéance de la tâche sélectionnée un jour plus tôt / plus tard
+  weekPlanner.addEventListener('keydown', event => {
+    if (!event.altKey || (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight')) return;
+    const card = event.target.closest('.planner-card');
+    if (!card || card.classList.contains('projected') || !currentAccount) return;
+    const task = findTask(card.dataset.id);
+    if (!task || !task.dueAt) return;
+    event.preventDefault();
+    const nextDate = addDaysISO(task.dueAt, event.key === 'ArrowLeft' ? -1 : 1);
+    // Le planning suit la tâche si elle sort de la semaine affichée
+    const { start, end } = getWeekRangeISO(agendaDate);
+    if (nextDate < start || nextDate > end) {
+      agendaDate = nextDate;
+      if (agendaDateInput) agendaDateInput.value = agendaDate;
+      syncAgendaToForm();
+    }
+    pendingFocus = { type: 'element', selector: `.planner-card[data-id="${task.id}"]` };
+    rescheduleTask(task.id, nextDate);
+  });
+}
+
+if (archiveCompletedBtn) {
+  archiveCompletedBtn.addEventListener('click', () => archiveCompletedTasks());
+}
+if (autoArchiveInput) {
+  autoArchiveInput.addEventListener('change', () => setAutoArchiveDays(autoArchiveInput.value));
+}
+if (hideDeferredInput) {
+  hideDeferredInput.addEventListener('change', () => setHideDeferred(hideDeferredInput.checked));
+}
+
+if (trashList) {
+  trashList.addEventListener('click', event => {
+    const restoreBtn = event.target.closest('button[data-restore]');
+    if (restoreBtn) {
+      restoreFromTrash(restoreBtn.dataset.restore);
+      return;
+    }
+    const purgeBtn = event.target.closest('button[data-purge]');
+    if (purgeBtn) {
+      deleteFromTrash(purgeBtn.dataset.purge);
+    }
+  });
+}
+if (trashRetentionInput) {
+  trashRetentionInput.addEventListener('change', () => {
+    setTrashRetentionDays(trashRetentionInput.value);
+  });
+}
+if (trashEmptyBtn) {
+  trashEmptyBtn.addEventListener('click', () => emptyTrash());
+}
+if (storageExportBtn) {
+  storageExportBtn.addEventListener('click', () => requestBackupExport());
+}
+if (storageEmptyTrashBtn) {
+  storageEmptyTrashBtn.addEventListener('click', () => emptyTrash());
+}
+if (storagePurgeArchivedBtn) {
+  storagePurgeArchivedBtn.addEventListener('click', () => purgeArchivedTasks());
+}
+if (storageClearHistoryBtn) {
+  storageClearHistoryBtn.addEventListener('click', () => clearHistory());
+}
+if (trashCloseBtn) {
+  trashCloseBtn.addEventListener('click', () => closeTrashDialog());
+}
+if (trashDialog) {
+  trashDialog.addEventListener('cancel', event => {
+    event.preventDefault();
+    closeTrashDialog();
+  });
+}
+if (registerEncryptGroup) {
+  registerEncryptGroup.hidden = !isEncryptionSupported();
+}
+if (encryptionForm) {
+  encryptionForm.addEventListener('submit', handleEncryptionSubmit);
+}
+if (encryptionCancelBtn) {
+  encryptionCancelBtn.addEventListener('click', () => closeEncryptionDialog());
+}
+if (encryptionDialog) {
+  encryptionDialog.addEventListener('cancel', event => {
+    event.preventDefault();
+    closeEncryptionDialog();
+  });
+}
+
+if (notificationsBtn) {
+  notificationsBtn.addEventListener('click', () => openNotificationsDialog());
+}
+if (notificationsEnableBtn) {
+  notificationsEnableBtn.addEventListener('click', () => requestNotificationPermission());
+}
+[notificationsFiredList, notificationsUpcomingList].forEach(listElement => {
+  if (!listElement) return;
+  listElement.addEventListener('click', event => {
+    const snoozeBtn = event.target.closest('button[data-snooze]');
+    if (snoozeBtn) {
+      snoozeTaskReminder(snoozeBtn.dataset.snooze, Number(snoozeBtn.dataset.minutes));
+      return;
+    }
+    const dismissBtn = event.target.closest('button[data-dismiss]');
+    if (dismissBtn) {
+      dismissTaskReminder(dismissBtn.dataset.dismiss);
+      return;
+    }
+    const openBtn = event.target.closest('button[data-open]');
+    if (openBtn) {
+      closeNotificationsDialog();
+      openTaskDialog(openBtn.dataset.open);
+    }
+  });
+});
+if (notificationsCloseBtn) {
+  notificationsCloseBtn.addEventListener('click', () => closeNotificationsDialog());
+}
+if (notificationsDialog) {
+  notificationsDialog.addEventListener('cancel', event => {
+    event.preventDefault();
+    closeNotificationsDialog();
+  });
+}
+
 filterButtons.forEach(button => {
   button.addEventListener('click', () => {
     currentFilter = button.dataset.filter;
@@ -217,9 +785,52 @@ if (sortSelect) {
   });
 }
 
+if (searchInput) {
+  searchInput.addEventListener('input', () => {
+    searchQuery = searchInput.value;
+    render();
+  });
+}
+
+if (projectFilterSelect) {
+  projectFilterSelect.addEventListener('change', () => {
+    currentProject = projectFilterSelect.value;
+    render();
+  });
+}
+
+if (tagMatchSelect) {
+  tagMatchSelect.addEventListener('change', () => {
+    tagMatchMode = tagMatchSelect.value === 'all' ? 'all' : 'any';
+    render();
+  });
+}
+
+if (tagFilterList) {
+  tagFilterList.addEventListener('click', event => {
+    const chip = event.target.closest('button[data-tag]');
+    if (!chip) return;
+    const tag = chip.dataset.tag;
+    selectedTags = selectedTags.includes(tag)
+      ? selectedTags.filter(item => item !== tag)
+      : [...selectedTags, tag];
+    pendingFocus = { type: 'element', selector: `#tag-filter-list button[data-tag="${CSS.escape(tag)}"]` };
+    render();
+  });
+}
+
 if (list) {
   list.addEventListener('change', event => {
     if (!currentAccount) return;
+    const subtaskBox = event.target.closest('.subtask-toggle');
+    if (subtaskBox) {
+      const subtaskItem = subtaskBox.closest('.subtask');
+      const taskId = subtaskBox.closest('.task').dataset.id;
+      pendingFocus = { type: 'task', id: taskId, selector: `.subtask[data-id="${subtaskItem.dataset.id}"] .subtask-toggle` };
+      updateSubtask(taskId, subtaskItem.dataset.id, { done: subtaskBox.checked });
+      return;
+    }
+
     const checkbox = event.target.closest('.task-toggle');
     if (!checkbox) return;
     const listItem = checkbox.closest('.task');
@@ -230,8 +841,55 @@ if (list) {
     });
   });
 
+  list.addEventListener('submit', event => {
+    const subtaskForm = event.target.closest('.subtask-add');
+    if (!subtaskForm) return;
+    event.preventDefault();
+    if (!currentAccount) return;
+    const field = subtaskForm.querySelector('.subtask-add-title');
+    const title = field.value.trim();
+    if (!title) {
+      field.focus();
+      return;
+    }
+    const taskId = subtaskForm.closest('.task').dataset.id;
+    pendingFocus = { type: 'task', id: taskId, selector: '.subtask-add-title' };
+    addSubtask(taskId, title);
+  });
+
   list.addEventListener('click', event => {
     if (!currentAccount) return;
+    const subtaskButton = event.target.closest('.subtask-move-up, .subtask-move-down, .subtask-delete');
+    if (subtaskButton) {
+      const subtaskItem = subtaskButton.closest('.subtask');
+      const taskId = subtaskButton.closest('.task').dataset.id;
+      const subtaskId = subtaskItem.dataset.id;
+      if (subtaskButton.classList.contains('subtask-delete')) {
+        pendingFocus = { type: 'task', id: taskId, selector: '.subtask-add-title' };
+        deleteSubtask(taskId, subtaskId);
+      } else {
+        const delta = subtaskButton.classList.contains('subtask-move-up') ? -1 : 1;
+        const selector = delta < 0 ? '.subtask-move-up' : '.subtask-move-down';
+        pendingFocus = { type: 'task', id: taskId, selector: `.subtask[data-id="${subtaskId}"] ${selector}` };
+        moveSubtask(taskId, subtaskId, delta);
+      }
+      return;
+    }
+
+    const archiveButton = event.target.closest('.task-archive');
+    if (archiveButton) {
+      const task = findTask(archiveButton.closest('.task').dataset.id);
+      if (!task) return;
+      updateTask(task.id, { archivedAt: task.archivedAt ? undefined : new Date().toISOString() });
+      return;
+    }
+
+    const detailsButton = event.target.closest('.task-details');
+    if (detailsButton) {
+      openTaskDialog(detailsButton.closest('.task').dataset.id);
+      return;
+    }
+
     const editButton = event.target.closest('.task-edit');
     if (editButton) {
       const listItem = editButton.closest('.task');
@@ -262,6 +920,29 @@ if (list) {
   });
 }
 
+if (list) {
+  // Tri manuel: déposer une tâche sur une autre la place avant (en montant) ou après (en descendant)
+  setupDragAndDrop(list, '.task', '.task', (id, target) => {
+    const ids = Array.from(list.querySelectorAll('.task'), item => item.dataset.id);
+    const position = ids.indexOf(id) < ids.indexOf(target.dataset.id) ? 'after' : 'before';
+    pendingFocus = { type: 'task', id, selector: '.task-move' };
+    moveTaskInOrder(id, target.dataset.id, position);
+  });
+  // Alt+↑ / Alt+↓ : échange la tâche avec sa voisine affichée
+  list.addEventListener('keydown', event => {
+    if (!event.altKey || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) return;
+    const item = event.target.closest('.task');
+    if (!item || !item.draggable || currentSort !== 'manual') return;
+    event.preventDefault();
+    const siblings = Array.from(list.querySelectorAll('.task'));
+    const up = event.key === 'ArrowUp';
+    const neighbour = siblings[siblings.indexOf(item) + (up ? -1 : 1)];
+    if (!neighbour) return;
+    pendingFocus = { type: 'task', id: item.dataset.id, selector: '.task-move' };
+    moveTaskInOrder(item.dataset.id, neighbour.dataset.id, up ? 'before' : 'after');
+  });
+}
+
 // Agenda events
 if (agendaDateInput) {
   agendaDateInput.addEventListener('change', () => {
@@ -273,7 +954,7 @@ if (agendaDateInput) {
 }
 if (agendaPrevBtn) {
   agendaPrevBtn.addEventListener('click', () => {
-    agendaDate = addDaysISO(agendaDate, -1);
+    agendaDate = agendaScope === 'month' ? addMonthsISO(agendaDate, -1) : addDaysISO(agendaDate, -1);
     if (agendaDateInput) agendaDateInput.value = agendaDate;
     syncAgendaToForm();
     render();
@@ -281,7 +962,7 @@ if (agendaPrevBtn) {
 }
 if (agendaNextBtn) {
   agendaNextBtn.addEventListener('click', () => {
-    agendaDate = addDaysISO(agendaDate, 1);
+    agendaDate = agendaScope === 'month' ? addMonthsISO(agendaDate, 1) : addDaysISO(agendaDate, 1);
     if (agendaDateInput) agendaDateInput.value = agendaDate;
     syncAgendaToForm();
     render();
@@ -303,18 +984,66 @@ if (agendaScopeSelect) {
   });
 }
 
+if (calendarGrid) {
+  calendarGrid.addEventListener('click', event => {
+    const dayBtn = event.target.closest('button[data-date]');
+    if (dayBtn) {
+      openAgendaDay(dayBtn.dataset.date);
+      return;
+    }
+    const taskBtn = event.target.closest('button[data-task-id]');
+    if (taskBtn && !isReadOnlyMode()) {
+      openTaskDialog(taskBtn.dataset.taskId);
+    }
+  });
+}
+
 if (agendaToggleBtn) {
   agendaToggleBtn.addEventListener('click', () => {
     setAgendaCollapsed(!agendaCollapsed);
   });
 }
 
-initialize();
+// Les rappels ne sonnent que tant que la page est ouverte: vérification périodique
+// et dès que l'onglet redevient visible (les minuteurs sont ralentis en arrière-plan)
+window.setInterval(() => checkReminders(), REMINDER_CHECK_MS);
+document.addEventListener('visibilitychange', () => {
+  if (!document.hidden) checkReminders();
+});
+
+// Les données sont chargées en mémoire avant le premier affichage
+openStorage({ indexedDB: window.indexedDB, localStorage: window.localStorage, onWriteError: reportStorageError }).then(async adapter => {
+  const connected = connectTabs(adapter, { BroadcastChannel: window.BroadcastChannel, eventTarget: window, onChange: handleRemoteChange });
+  store = guardWrites(connected, reportStorageError);
+  let migrationError = null;
+  try {
+    await migrateStoredData();
+  } catch (error) {
+    if (error instanceof MigrationError) {
+      blockStoredData(error.message);
+      return;
+    }
+    // Migration interrompue (données abîmées...): l'app démarre avec les données telles quelles,
+    // la migration sera retentée au prochain chargement
+    console.warn('Failed to migrate stored data', error);
+    migrationError = error;
+  }
+  initialize();
+  if (migrationError) setAuthMessage(`Mise à jour des données impossible: ${migrationError.message || migrationError}`, true);
+}).catch((error) => {
+  // Démarrage impossible: signalé au lieu d'une page vide
+  console.warn('Failed to start the app', error);
+  setAuthMessage(`Démarrage impossible: ${error.message || error}`, true);
+});
 
 // Point d'entrée: restaure la session et prépare l'interface
 function initialize() {
+  // Comptes chiffrés d'une version antérieure: l'empreinte de leur mot de passe est effacée
+  const storedUsers = loadUsers();
+  if (Object.keys(storedUsers).some(id => hasEncryption(storedUsers[id]) && 'passwordHash' in storedUsers[id])) saveUsers(storedUsers);
+
   const sessionAccount = loadSession();
-  if (sessionAccount) {
+  if (sessionAccount && !isAccountLocked(sessionAccount.id)) {
     setAuthMessage('');
     setCurrentAccount(sessionAccount);
     return;
@@ -330,7 +1059,11 @@ function initialize() {
   updateAgendaControls();
   updateTaskCreationControls();
   updateFilterButtons();
+  updateHistoryButtons();
   render();
+  scheduleStorageCheck();
+  // Compte chiffré: la clé n'est pas gardée d'un chargement à l'autre, le mot de passe est redemandé
+  if (sessionAccount) promptUnlock(sessionAccount);
 }
 
 // Connexion d'un utilisateur (vérifie les identifiants et ouvre une session)
@@ -348,6 +1081,7 @@ async function handleLogin(event) {
 
   try {
     const account = await authenticateUser(username, password);
+    await unlockAccount(account, password);
     loginForm.reset();
     setAuthMessage('');
     setCurrentAccount(account);
@@ -365,6 +1099,7 @@ async function handleRegister(event) {
   const username = String(formData.get('username') || '').trim();
   const password = String(formData.get('password') || '');
   const confirm = String(formData.get('confirm') || '');
+  const encrypt = formData.get('encrypt') === 'on';
 
   if (!username || !password) {
     setAuthMessage('Choose a username and password to continue.', true);
@@ -378,6 +1113,7 @@ async function handleRegister(event) {
 
   try {
     const account = await registerUser(username, password);
+    if (encrypt) await enableEncryption(account, password);
     registerForm.reset();
     if (loginForm) loginForm.reset();
     setAuthMessage('Account created and signed in.');
@@ -399,12 +1135,24 @@ function handleLogout() {
 }
 
 // Met à jour l'utilisateur courant (connexion/déconnexion)
-function setCurrentAccount(account) {
+// keepSession: seul cet onglet quitte le compte (compte chiffré à déverrouiller), les autres restent connectés
+function setCurrentAccount(account, options = {}) {
   currentAccount = account;
   previewAccount = null;
+  // Coffre d'un autre compte: refermé, sa clé est oubliée
+  if (vaultSession && (!account || vaultSession.accountId !== account.id)) vaultSession = null;
   if (account) {
-    window.localStorage.setItem(SESSION_KEY, JSON.stringify(account));
+    store.setItem(SESSION_KEY, JSON.stringify(account));
     tasks = loadTasks(account.id);
+    syncedTasks = tasks;
+    savedViews = loadViews(account.id);
+    history = loadHistory(account.id);
+    trash = loadTrash(account.id);
+    settings = loadSettings(account.id);
+    boardColumns = loadBoardColumns(account.id);
+    purgeTrash();
+    autoArchiveTasks();
+    checkReminders();
     if (currentUsernameElement) {
       currentUsernameElement.textContent = account.displayName;
     }
@@ -412,6 +1160,7 @@ function setCurrentAccount(account) {
       currentModeLabel.textContent = 'Signed in as';
     }
     currentFilter = 'all';
+    resetListFilters();
     if (sortSelect) {
       sortSelect.value = defaultSortValue;
       currentSort = sortSelect.value;
@@ -421,8 +1170,14 @@ function setCurrentAccount(account) {
     if (agendaDateInput) agendaDateInput.value = agendaDate;
     if (agendaScopeSelect) agendaScopeSelect.value = agendaScope;
   } else {
-    window.localStorage.removeItem(SESSION_KEY);
+    if (!options.keepSession) store.removeItem(SESSION_KEY);
     tasks = [];
+    syncedTasks = tasks;
+    savedViews = [];
+    history = { undo: [], redo: [] };
+    trash = [];
+    settings = normalizeSettings();
+    boardColumns = normalizeBoardColumns();
     if (currentUsernameElement) {
       currentUsernameElement.textContent = '';
     }
@@ -430,6 +1185,7 @@ function setCurrentAccount(account) {
       currentModeLabel.textContent = 'Signed in as';
     }
     currentFilter = 'all';
+    resetListFilters();
     if (sortSelect) {
       sortSelect.value = defaultSortValue;
       currentSort = sortSelect.value;
@@ -445,7 +1201,9 @@ function setCurrentAccount(account) {
   updateAgendaControls();
   updateTaskCreationControls();
   updateFilterButtons();
+  updateHistoryButtons();
   render();
+  scheduleStorageCheck();
 }
 
 function isReadOnlyMode() {
@@ -461,12 +1219,15 @@ function listAvailableAccounts() {
   return Object.entries(users).map(([id, record]) => ({
     id,
     displayName: record && record.displayName ? record.displayName : id,
+    encrypted: hasEncryption(record),
   })).sort((a, b) => a.displayName.localeCompare(b.displayName, undefined, { sensitivity: 'base' }));
 }
 
 function populateReadonlyAccountsMenu() {
   if (!menuReadonlyAccountSelect) return;
-  const accounts = listAvailableAccounts();
+  // Comptes chiffrés: pas d'aperçu sans mot de passe
+  const accounts = listAvailableAccounts()
+    .filter(account => !account.encrypted || (currentAccount && currentAccount.id === account.id));
   const options = ['<option value="">Choisir un compte…</option>'];
   accounts.forEach(account => {
     options.push(`<option value="${escapeHtml(account.id)}">${escapeHtml(account.displayName)}</option>`);
@@ -489,7 +1250,7 @@ function setPreviewAccount(accountId) {
 
   const users = loadUsers();
   const record = users[accountId];
-  if (!record) {
+  if (!record || hasEncryption(record)) {
     clearPreviewAccount();
     return;
   }
@@ -499,6 +1260,9 @@ function setPreviewAccount(accountId) {
     displayName: record.displayName || accountId,
   };
   tasks = loadTasks(previewAccount.id);
+  savedViews = loadViews(previewAccount.id);
+  boardColumns = loadBoardColumns(previewAccount.id);
+  history = { undo: [], redo: [] };
   if (currentUsernameElement) {
     currentUsernameElement.textContent = previewAccount.displayName;
   }
@@ -506,6 +1270,7 @@ function setPreviewAccount(accountId) {
     currentModeLabel.textContent = 'Read-only view:';
   }
   currentFilter = 'all';
+  resetListFilters();
   if (sortSelect) {
     sortSelect.value = defaultSortValue;
     currentSort = sortSelect.value;
@@ -527,7 +1292,10 @@ function setPreviewAccount(accountId) {
 function clearPreviewAccount() {
   if (!previewAccount) return;
   previewAccount = null;
+  history = { undo: [], redo: [] };
   tasks = [];
+  savedViews = [];
+  boardColumns = normalizeBoardColumns();
   if (currentUsernameElement) {
     currentUsernameElement.textContent = '';
   }
@@ -535,6 +1303,7 @@ function clearPreviewAccount() {
     currentModeLabel.textContent = 'Signed in as';
   }
   currentFilter = 'all';
+  resetListFilters();
   if (sortSelect) {
     sortSelect.value = defaultSortValue;
     currentSort = sortSelect.value;
@@ -559,6 +1328,18 @@ function updateAuthVisibility() {
   if (!hasAccess && form) {
     form.reset();
   }
+  if (!currentAccount && taskDialog && taskDialog.open) {
+    closeTaskDialog();
+  }
+  if (!currentAccount && trashDialog && trashDialog.open) {
+    closeTrashDialog();
+  }
+  if (!currentAccount && notificationsDialog && notificationsDialog.open) {
+    closeNotificationsDialog();
+  }
+  if (!currentAccount && encryptionDialog && encryptionDialog.open) {
+    closeEncryptionDialog();
+  }
 }
 
 function updateMenuState() {
@@ -579,6 +1360,33 @@ function updateMenuState() {
   if (menuReadonlyAccountSelect) {
     menuReadonlyAccountSelect.disabled = isAuthenticated;
   }
+  if (menuSaveViewBtn) {
+    menuSaveViewBtn.disabled = !isAuthenticated;
+  }
+  if (menuEncryptionBtn) {
+    menuEncryptionBtn.disabled = !isAuthenticated || !isEncryptionSupported();
+    menuEncryptionBtn.textContent = vaultSession ? 'Désactiver le chiffrement…' : 'Chiffrer mes tâches…';
+  }
+  updateTrashMenuButton();
+  populateSavedViewsMenu();
+}
+
+// Liste les vues enregistrées dans le menu (suppression réservée au compte connecté)
+function populateSavedViewsMenu() {
+  if (!menuViewsList) return;
+  if (savedViews.length === 0) {
+    menuViewsList.innerHTML = '<p class="menu-empty">Aucune vue enregistrée.</p>';
+    return;
+  }
+  const canDelete = Boolean(currentAccount);
+  menuViewsList.innerHTML = savedViews.map(view => {
+    const id = escapeHtml(view.id);
+    const name = escapeHtml(view.name);
+    const remove = canDelete
+      ? `<button type="button" class="menu-view-delete" data-delete-view="${id}" aria-label="Supprimer la vue ${name}">×</button>`
+      : '';
+    return `<div class="menu-view"><button type="button" role="menuitem" data-view="${id}">${name}</button>${remove}</div>`;
+  }).join('');
 }
 
 // Active/désactive les contrôles d'agenda selon la connexion/lecture
@@ -592,6 +1400,9 @@ function updateAgendaControls() {
   if (sortSelect) {
     sortSelect.disabled = !hasAccess;
   }
+  if (searchInput) {
+    searchInput.disabled = !hasAccess;
+  }
   if (hasAccess) {
     if (agendaDateInput) agendaDateInput.value = agendaDate;
     if (agendaScopeSelect) agendaScopeSelect.value = agendaScope;
@@ -600,9 +1411,10 @@ function updateAgendaControls() {
 
 function updateTaskCreationControls() {
   const disabled = !currentAccount;
-  [input, dueInput, prioritySelect, colorInput].forEach(el => {
+  [input, dueInput, prioritySelect, colorInput, projectInput, tagsInput, descriptionInput, startTimeInput, durationInput].forEach(el => {
     if (el) el.disabled = disabled;
   });
+  if (recurrenceFieldset) recurrenceFieldset.disabled = disabled;
   const submitBtn = form ? form.querySelector('button[type="submit"]') : null;
   if (submitBtn) submitBtn.disabled = disabled;
 }
@@ -617,19 +1429,78 @@ function setAuthMessage(message, isError = false) {
   }
 }
 
-function escapeHtml(value) {
-  return String(value)
-    .replaceAll('&', '&amp;')
-    .replaceAll('<', '&lt;')
-    .replaceAll('>', '&gt;')
-    .replaceAll('"', '&quot;')
-    .replaceAll("'", '&#39;');
+// Données par compte reprises par les migrations: champ de la sauvegarde → clé de stockage
+function getAccountDataKeys() {
+  return [
+    { field: 'tasksByUser', getKey: getTaskStorageKey, tasks: true },
+    { field: 'viewsByUser', getKey: getViewsStorageKey },
+    { field: 'trashByUser', getKey: getTrashStorageKey },
+    { field: 'settingsByUser', getKey: getSettingsStorageKey },
+    { field: 'boardsByUser', getKey: getBoardStorageKey },
+  ];
+}
+
+// Met les données enregistrées à la version SCHEMA_VERSION (lève MigrationError si elles sont plus récentes)
+// La version n'est enregistrée qu'une fois toutes les écritures réussies: sinon la migration est retentée
+async function migrateStoredData() {
+  const storedVersion = store.getItem(SCHEMA_KEY);
+  if (readVersion(storedVersion) === SCHEMA_VERSION) return;
+  const users = loadUsers();
+  const snapshot = { users };
+  // Données brutes (non normalisées): chaque étape de migration voit le format de sa version
+  getAccountDataKeys().forEach(({ field, getKey, tasks: isTaskList }) => {
+    snapshot[field] = {};
+    Object.keys(users).forEach(accountId => {
+      // Comptes chiffrés: migrés à l'ouverture du coffre (voir unlockAccount)
+      if (hasEncryption(users[accountId])) return;
+      try {
+        const value = isTaskList ? store.getTasks(getKey(accountId)) : JSON.parse(store.getItem(getKey(accountId)));
+        if (value !== null) snapshot[field][accountId] = value;
+      } catch (error) {
+        console.warn(`Failed to read ${field} of ${accountId} for migration`, error);
+      }
+    });
+  });
+
+  const { data } = migrate(snapshot, storedVersion);
+  const failureBefore = storageFailure;
+  let saved = true;
+  if (Object.keys(data.users || {}).length > 0) {
+    saveUsers(data.users);
+    if (unsavedUsers) saved = false;
+  }
+  getAccountDataKeys().forEach(({ field, getKey, tasks: isTaskList }) => {
+    Object.entries(data[field] || {}).forEach(([accountId, value]) => {
+      const written = isTaskList
+        ? store.setTasks(getKey(accountId), value)
+        : store.setItem(getKey(accountId), JSON.stringify(value));
+      if (!written) saved = false;
+    });
+  });
+  // IndexedDB: un refus n'arrive qu'à la validation de la transaction (signalé par reportStorageError)
+  await store.flush();
+  if (!saved || storageFailure !== failureBefore) {
+    throw new Error('Some data could not be saved; the update will be retried on the next load.');
+  }
+  if (!store.setItem(SCHEMA_KEY, String(SCHEMA_VERSION))) {
+    throw new Error('The data version could not be saved; the update will be retried on the next load.');
+  }
+}
+
+// Données d'une version plus récente: rien n'est chargé ni réécrit, la connexion est désactivée
+function blockStoredData(message) {
+  [loginForm, registerForm].forEach(form => {
+    if (form) Array.from(form.elements).forEach(field => { field.disabled = true; });
+  });
+  updateAuthVisibility();
+  setAuthMessage(message, true);
 }
 
-// Charge la "table" des utilisateurs depuis localStorage
+// Charge la "table" des utilisateurs depuis le stockage
 function loadUsers() {
+  if (unsavedUsers) return unsavedUsers;
   try {
-    const raw = window.localStorage.getItem(USERS_KEY);
+    const raw = store.getItem(USERS_KEY);
     if (!raw) return {};
     const parsed = JSON.parse(raw);
     if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
@@ -642,9 +1513,25 @@ function loadUsers() {
   }
 }
 
-// Sauvegarde la "table" des utilisateurs dans localStorage
+// Sauvegarde la "table" des utilisateurs dans le stockage
 function saveUsers(users) {
-  window.localStorage.setItem(USERS_KEY, JSON.stringify(users));
+  const cleaned = withoutPasswordHashes(users);
+  unsavedUsers = store.setItem(USERS_KEY, JSON.stringify(cleaned)) ? null : cleaned;
+}
+
+// Comptes chiffrés: aucune empreinte du mot de passe (rapide à casser hors ligne), le déchiffrement la remplace
+function withoutPasswordHashes(users) {
+  const out = {};
+  Object.keys(users).forEach((accountId) => {
+    const record = users[accountId];
+    if (hasEncryption(record) && 'passwordHash' in record) {
+      const { passwordHash, ...rest } = record;
+      out[accountId] = rest;
+    } else {
+      out[accountId] = record;
+    }
+  });
+  return out;
 }
 
 async function registerUser(username, password) {
@@ -688,65 +1575,584 @@ async function authenticateUser(username, password) {
     throw new Error('Account not found.');
   }
 
-  const passwordHash = await hashPassword(password);
-  if (record.passwordHash !== passwordHash) {
-    throw new Error('Incorrect password.');
+  // Compte chiffré: le mot de passe est vérifié à l'ouverture du coffre (unlockAccount)
+  if (!hasEncryption(record)) {
+    const passwordHash = await hashPassword(password);
+    if (record.passwordHash !== passwordHash) {
+      throw new Error('Incorrect password.');
+    }
   }
 
   const displayName = record.displayName || cleanName;
   return { id: normalized, displayName };
 }
 
-function loadSession() {
-  try {
-    const raw = window.localStorage.getItem(SESSION_KEY);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== 'object') return null;
-    const id = typeof parsed.id === 'string' ? parsed.id : null;
-    if (!id) return null;
+// Compte chiffré: réglages de chiffrement enregistrés avec le compte (sel, itérations)
+function hasEncryption(record) {
+  return Boolean(record && record.encryption);
+}
+
+function isEncryptedAccount(accountId) {
+  return hasEncryption(loadUsers()[accountId]);
+}
+
+// Compte chiffré dont le coffre n'est pas ouvert dans cet onglet
+function isAccountLocked(accountId) {
+  return isEncryptedAccount(accountId) && !(vaultSession && vaultSession.accountId === accountId);
+}
+
+function getVaultStorageKey(accountId = currentAccount ? currentAccount.id : null) {
+  if (!accountId) return null;
+  return `${VAULT_KEY_PREFIX}${accountId}`;
+}
+
+// Champ du coffre ouvert d'un compte (undefined si le compte est verrouillé)
+function readUnlockedVault(accountId, field) {
+  if (!vaultSession || vaultSession.accountId !== accountId || !vaultSession.data) return undefined;
+  return vaultSession.data[field];
+}
+
+// Valeur qui vérifie le mot de passe d'un compte chiffré: sa valeur témoin, sinon son coffre
+// (comptes chiffrés avant l'ajout du témoin); null si aucune n'est enregistrée
+function getPasswordCheck(accountId, encryption) {
+  if (encryption.check) return encryption.check;
+  const raw = store.getItem(getVaultStorageKey(accountId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+// Ouvre le coffre d'un compte chiffré avec son mot de passe (sans effet pour un compte non chiffré)
+async function unlockAccount(account, password) {
+  const record = loadUsers()[account.id];
+  if (!hasEncryption(record)) return;
+  if (!isEncryptionSupported()) throw new Error('This browser cannot decrypt the tasks of this account.');
+  const key = await deriveVaultKey(password, record.encryption);
+  const check = getPasswordCheck(account.id, record.encryption);
+  if (check && !(await isVaultKey(key, check))) throw new Error('Incorrect password.');
+  const raw = store.getItem(getVaultStorageKey(account.id));
+  let data = raw ? await decryptVault(key, JSON.parse(raw)) : { schema: SCHEMA_VERSION };
+  // Coffre d'une version antérieure: mêmes migrations que les données en clair (plus récent: MigrationError)
+  const migrated = readVersion(data.schema) !== SCHEMA_VERSION;
+  if (migrated) {
+    const upgraded = migrate({
+      tasksByUser: { [account.id]: data.tasks || [] },
+      trashByUser: { [account.id]: data.trash || [] },
+    }, data.schema).data;
+    data = { ...data, schema: SCHEMA_VERSION, tasks: upgraded.tasksByUser[account.id], trash: upgraded.trashByUser[account.id] };
+  }
+  vaultSession = { accountId: account.id, key, data };
+  if (migrated) saveVault(data);
+  if (raw) removePlainCopies(account.id);
+  // Compte chiffré avant l'ajout du témoin: il est créé avec la clé qui vient d'être vérifiée
+  if (!record.encryption.check) {
+    const encryption = { ...record.encryption, check: await createKeyCheck(key) };
     const users = loadUsers();
-    const record = users[id];
-    if (!record) {
-      window.localStorage.removeItem(SESSION_KEY);
-      return null;
+    if (hasEncryption(users[account.id])) {
+      users[account.id] = { ...users[account.id], encryption };
+      saveUsers(users);
     }
-    const displayName = record.displayName || parsed.displayName || id;
-    return { id, displayName };
-  } catch (error) {
-    console.warn('Failed to restore session', error);
-    window.localStorage.removeItem(SESSION_KEY);
-    return null;
   }
 }
 
-// Clé de stockage des tâches propre à chaque utilisateur
-function getTaskStorageKey(accountId = currentAccount ? currentAccount.id : null) {
-  if (!accountId) return null;
-  return `${TASK_KEY_PREFIX}${accountId}`;
+// Enregistre le coffre du compte connecté: chiffré en arrière-plan, dans l'ordre des sauvegardes
+// (plusieurs sauvegardes rapprochées ne donnent qu'une écriture)
+function saveVault(data = { schema: SCHEMA_VERSION, tasks, trash, history }) {
+  const session = vaultSession;
+  if (!session) return;
+  session.data = data;
+  if (session.queued) return;
+  session.queued = true;
+  const key = getVaultStorageKey(session.accountId);
+  vaultWrites = vaultWrites
+    .then(async () => {
+      session.queued = false;
+      if (session.discarded) return;
+      const written = session.data;
+      const payload = await encryptVault(session.key, written);
+      // Coffre remplacé entre-temps (import, chiffrement désactivé): rien à écrire
+      if (session.discarded) return;
+      // Les autres onglets reçoivent ce coffre: ses tâches deviennent la base de fusion
+      if (store.setItem(key, JSON.stringify(payload)) && vaultSession === session) syncedTasks = written.tasks;
+    })
+    .catch(error => reportStorageError(error, key));
 }
 
-// Charge les tâches (du compte courant) depuis localStorage
-function loadTasks(accountId = currentAccount ? currentAccount.id : null) {
-  const key = getTaskStorageKey(accountId);
-  if (!key) return [];
+// Efface les copies en clair d'un compte chiffré (laissées avant son chiffrement)
+function removePlainCopies(accountId) {
+  const taskKey = getTaskStorageKey(accountId);
+  let stored;
   try {
-    const raw = window.localStorage.getItem(key);
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return [];
-    return parsed.map(normalizeTask).filter(Boolean);
+    stored = store.getTasks(taskKey);
   } catch (error) {
-    console.warn('Failed to parse stored tasks', error);
-    return [];
+    stored = true;
   }
+  if (stored && (!Array.isArray(stored) || stored.length > 0)) store.removeItem(taskKey);
+  [getTrashStorageKey(accountId), getHistoryStorageKey(accountId)].forEach(key => {
+    if (store.getItem(key) !== null) store.removeItem(key);
+  });
 }
 
-// Sauvegarde les tâches (du compte courant) dans localStorage
-function saveTasks() {
-  const key = getTaskStorageKey();
-  if (!key) return;
-  window.localStorage.setItem(key, JSON.stringify(tasks));
+// Chiffre les tâches, la corbeille et l'historique d'un compte; les copies en clair sont effacées
+// une fois le coffre enregistré
+async function enableEncryption(account, password) {
+  const keySettings = createEncryptionSettings();
+  const key = await deriveVaultKey(password, keySettings);
+  const encryption = { ...keySettings, check: await createKeyCheck(key) };
+  const users = loadUsers();
+  if (!users[account.id]) throw new Error('Account not found.');
+  // Compte connecté: état en mémoire; nouveau compte: ce qui est enregistré
+  const data = isCurrentAccount(account.id)
+    ? undefined
+    : { schema: SCHEMA_VERSION, tasks: loadTasks(account.id), trash: loadTrash(account.id), history: loadHistory(account.id) };
+  users[account.id] = { ...users[account.id], encryption };
+  saveUsers(users);
+  vaultSession = { accountId: account.id, key, data: null };
+  saveVault(data);
+  const vaultKey = getVaultStorageKey(account.id);
+  vaultWrites = vaultWrites.then(() => {
+    if (store.getItem(vaultKey) !== null) removePlainCopies(account.id);
+  });
+  await vaultWrites;
+  updateMenuState();
+  populateReadonlyAccountsMenu();
+}
+
+// Les données du compte connecté sont de nouveau enregistrées en clair
+// (mot de passe redemandé: le compte non chiffré retrouve une empreinte pour la connexion)
+async function disableEncryption(account, password) {
+  const session = vaultSession;
+  if (!session || session.accountId !== account.id) return;
+  const { encryption } = loadUsers()[account.id];
+  const key = await deriveVaultKey(password, encryption);
+  const check = getPasswordCheck(account.id, encryption);
+  if (!check || !(await isVaultKey(key, check))) throw new Error('Incorrect password.');
+  const passwordHash = await hashPassword(password);
+  if (vaultSession !== session) return;
+  const users = loadUsers();
+  const { encryption: removed, ...record } = users[account.id];
+  users[account.id] = { ...record, passwordHash };
+  saveUsers(users);
+  session.discarded = true;
+  vaultSession = null;
+  saveTasks();
+  saveTrash();
+  saveHistory();
+  vaultWrites = vaultWrites.then(() => store.removeItem(getVaultStorageKey(session.accountId)));
+  setAuthMessage('Encryption disabled: tasks are stored unencrypted again.');
+  updateMenuState();
+  populateReadonlyAccountsMenu();
+}
+
+// Coffre modifié dans un autre onglet: déchiffré, puis fusionné comme une liste en clair
+async function receiveVault(value) {
+  const session = vaultSession;
+  if (!session || !value) return;
+  let data;
+  try {
+    data = await decryptVault(session.key, JSON.parse(value));
+  } catch (error) {
+    console.warn('Failed to read the encrypted tasks saved in another tab', error);
+    return;
+  }
+  if (vaultSession !== session) return;
+  const remoteTasks = data.tasks;
+  session.data = data;
+  trash = loadTrash(session.accountId);
+  history = loadHistory(session.accountId);
+  updateTrashMenuButton();
+  renderTrash();
+  updateHistoryButtons();
+  applyRemoteTasks((Array.isArray(remoteTasks) ? remoteTasks : []).map(normalizeTask).filter(Boolean));
+}
+
+// Compte chiffré sans clé en mémoire: nom prérempli, mot de passe demandé
+function promptUnlock(account, message = `Enter the password of ${account.displayName} to unlock the encrypted tasks.`) {
+  setAuthMessage(message);
+  if (!loginForm) return;
+  const usernameField = loginForm.elements.namedItem('username');
+  const passwordField = loginForm.elements.namedItem('password');
+  if (usernameField) usernameField.value = account.displayName;
+  if (passwordField) passwordField.focus();
+}
+
+// Même dialogue pour chiffrer et pour déchiffrer: les deux demandent le mot de passe
+function openEncryptionDialog() {
+  if (!currentAccount || !encryptionDialog || !isEncryptionSupported()) return;
+  const disabling = Boolean(vaultSession);
+  if (encryptionForm) encryptionForm.reset();
+  if (encryptionMessage) encryptionMessage.textContent = '';
+  if (encryptionTitle) encryptionTitle.textContent = disabling ? 'Disable encryption' : 'Encrypt tasks';
+  if (encryptionEnableHint) encryptionEnableHint.hidden = disabling;
+  if (encryptionDisableHint) encryptionDisableHint.hidden = !disabling;
+  if (encryptionSubmitBtn) encryptionSubmitBtn.textContent = disabling ? 'Disable encryption' : 'Encrypt';
+  if (typeof encryptionDialog.showModal === 'function') {
+    encryptionDialog.showModal();
+  } else {
+    encryptionDialog.setAttribute('open', '');
+  }
+}
+
+function closeEncryptionDialog() {
+  if (!encryptionDialog) return;
+  if (encryptionForm) encryptionForm.reset();
+  if (typeof encryptionDialog.close === 'function') {
+    encryptionDialog.close();
+  } else {
+    encryptionDialog.removeAttribute('open');
+  }
+  if (menuButton) menuButton.focus();
+}
+
+// Chiffrement demandé depuis le menu: le mot de passe est vérifié avant de dériver la clé
+async function handleEncryptionSubmit(event) {
+  event.preventDefault();
+  if (!currentAccount || !encryptionForm) return;
+  const password = String(new FormData(encryptionForm).get('password') || '');
+  const account = currentAccount;
+  try {
+    if (vaultSession) {
+      await disableEncryption(account, password);
+      closeEncryptionDialog();
+      return;
+    }
+    await authenticateUser(account.id, password);
+    if (encryptionMessage) encryptionMessage.textContent = 'Encrypting…';
+    await enableEncryption(account, password);
+    closeEncryptionDialog();
+    setAuthMessage('Tasks encrypted: they stay unreadable until you sign in.');
+  } catch (error) {
+    if (encryptionMessage) encryptionMessage.textContent = error instanceof Error ? error.message : 'Unable to encrypt the tasks.';
+  }
+}
+
+function loadSession() {
+  try {
+    const raw = store.getItem(SESSION_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object') return null;
+    const id = typeof parsed.id === 'string' ? parsed.id : null;
+    if (!id) return null;
+    const users = loadUsers();
+    const record = users[id];
+    if (!record) {
+      store.removeItem(SESSION_KEY);
+      return null;
+    }
+    const displayName = record.displayName || parsed.displayName || id;
+    return { id, displayName };
+  } catch (error) {
+    console.warn('Failed to restore session', error);
+    store.removeItem(SESSION_KEY);
+    return null;
+  }
+}
+
+// Clé de stockage des tâches propre à chaque utilisateur
+function getTaskStorageKey(accountId = currentAccount ? currentAccount.id : null) {
+  if (!accountId) return null;
+  return `${TASK_KEY_PREFIX}${accountId}`;
+}
+
+// Charge les tâches (du compte courant) depuis le stockage
+function loadTasks(accountId = currentAccount ? currentAccount.id : null) {
+  const key = getTaskStorageKey(accountId);
+  if (!key) return [];
+  try {
+    // Compte chiffré: tâches du coffre ouvert (aucune tant qu'il est verrouillé)
+    const parsed = isEncryptedAccount(accountId) ? readUnlockedVault(accountId, 'tasks') : store.getTasks(key);
+    if (!Array.isArray(parsed)) return [];
+    return parsed.map(normalizeTask).filter(Boolean);
+  } catch (error) {
+    console.warn('Failed to parse stored tasks', error);
+    return [];
+  }
+}
+
+// Sauvegarde les tâches (du compte courant): seules les tâches modifiées sont réécrites avec IndexedDB
+function saveTasks() {
+  const key = getTaskStorageKey();
+  if (!key) return;
+  if (vaultSession) saveVault();
+  // Les autres onglets reçoivent cette liste: elle devient la base de fusion
+  else if (store.setTasks(key, tasks)) syncedTasks = tasks;
+  scheduleStorageCheck();
+}
+
+// Écriture faite dans un autre onglet (clé et nouvelle valeur, voir sync.js)
+function handleRemoteChange(key, value) {
+  if (key === SESSION_KEY) {
+    // Connexion ou déconnexion dans un autre onglet: cet onglet suit
+    const account = loadSession();
+    if ((account ? account.id : null) === (currentAccount ? currentAccount.id : null)) return;
+    if (account && isAccountLocked(account.id)) {
+      // Compte chiffré: la clé ne passe pas d'un onglet à l'autre
+      if (currentAccount) setCurrentAccount(null, { keepSession: true });
+      promptUnlock(account, `Signed in as ${account.displayName} in another tab: enter the password to unlock the encrypted tasks.`);
+      return;
+    }
+    setCurrentAccount(account);
+    setAuthMessage(account ? `Signed in as ${account.displayName} in another tab.` : 'Signed out in another tab.');
+    return;
+  }
+  if (key === USERS_KEY) {
+    // Chiffrement activé ou désactivé dans un autre onglet
+    if (currentAccount && isAccountLocked(currentAccount.id)) {
+      const account = currentAccount;
+      setCurrentAccount(null, { keepSession: true });
+      promptUnlock(account, 'Encryption was enabled in another tab: sign in again to unlock the tasks.');
+      return;
+    }
+    if (vaultSession && !isEncryptedAccount(vaultSession.accountId)) {
+      vaultSession.discarded = true;
+      vaultSession = null;
+    }
+    if (previewAccount && isEncryptedAccount(previewAccount.id)) clearPreviewAccount();
+    populateReadonlyAccountsMenu();
+    updateMenuState();
+    return;
+  }
+
+  const active = getActiveAccount();
+  if (!active) return;
+  // Compte chiffré: tâches, corbeille et historique n'arrivent que par le coffre
+  if (vaultSession && [getTaskStorageKey(active.id), getTrashStorageKey(active.id), getHistoryStorageKey(active.id)].includes(key)) return;
+  if (key === getVaultStorageKey(active.id)) {
+    receiveVault(value);
+  } else if (key === getTaskStorageKey(active.id)) {
+    applyRemoteTasks((Array.isArray(value) ? value : []).map(normalizeTask).filter(Boolean));
+  } else if (key === getViewsStorageKey(active.id)) {
+    savedViews = loadViews(active.id);
+    populateSavedViewsMenu();
+  } else if (key === getHistoryStorageKey(active.id)) {
+    history = loadHistory(active.id);
+    updateHistoryButtons();
+  } else if (key === getTrashStorageKey(active.id)) {
+    trash = loadTrash(active.id);
+    updateTrashMenuButton();
+    renderTrash();
+  } else if (key === getSettingsStorageKey(active.id)) {
+    settings = loadSettings(active.id);
+    updateArchiveControls();
+    render();
+  } else if (key === getBoardStorageKey(active.id)) {
+    boardColumns = loadBoardColumns(active.id);
+    render();
+  }
+}
+
+// Liste reçue d'un autre onglet: fusionnée avec les modifications de cet onglet
+function applyRemoteTasks(remote) {
+  // Compte consulté en lecture seule: rien à fusionner
+  const merged = currentAccount ? mergeTaskLists(syncedTasks, tasks, remote) : remote;
+  syncedTasks = remote;
+  if (!isSameTaskList(merged, tasks)) {
+    tasks = merged;
+    render();
+  }
+  // Modifications de cet onglet que l'autre n'a pas encore: on enregistre le résultat de la fusion
+  if (currentAccount && !isSameTaskList(merged, remote)) saveTasks();
+}
+
+// Clé de stockage des vues enregistrées d'un compte
+function getViewsStorageKey(accountId = currentAccount ? currentAccount.id : null) {
+  if (!accountId) return null;
+  return `${VIEWS_KEY_PREFIX}${accountId}`;
+}
+
+// Charge les vues enregistrées d'un compte depuis le stockage
+function loadViews(accountId = currentAccount ? currentAccount.id : null) {
+  const key = getViewsStorageKey(accountId);
+  if (!key) return [];
+  try {
+    const raw = store.getItem(key);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return [];
+    return parsed.map(normalizeView).filter(Boolean);
+  } catch (error) {
+    console.warn('Failed to parse stored views', error);
+    return [];
+  }
+}
+
+// Sauvegarde les vues enregistrées du compte courant
+function saveViews() {
+  const key = getViewsStorageKey();
+  if (!key) return;
+  store.setItem(key, JSON.stringify(savedViews));
+}
+
+// Clé de stockage de l'historique annuler/rétablir d'un compte
+function getHistoryStorageKey(accountId = currentAccount ? currentAccount.id : null) {
+  if (!accountId) return null;
+  return `${HISTORY_KEY_PREFIX}${accountId}`;
+}
+
+// Charge l'historique d'un compte (survit au rechargement de la page)
+function loadHistory(accountId = currentAccount ? currentAccount.id : null) {
+  const empty = { undo: [], redo: [] };
+  const key = getHistoryStorageKey(accountId);
+  if (!key) return empty;
+  try {
+    // Compte chiffré: historique du coffre ouvert
+    const parsed = isEncryptedAccount(accountId) ? readUnlockedVault(accountId, 'history') : JSON.parse(store.getItem(key) || 'null');
+    if (!parsed || !Array.isArray(parsed.undo) || !Array.isArray(parsed.redo)) return empty;
+    const isEntry = entry => entry && typeof entry.label === 'string' && Array.isArray(entry.changes);
+    return {
+      undo: limitHistoryStack(parsed.undo.filter(isEntry)),
+      redo: limitHistoryStack(parsed.redo.filter(isEntry)),
+    };
+  } catch (error) {
+    console.warn('Failed to parse stored history', error);
+    return empty;
+  }
+}
+
+function saveHistory() {
+  const key = getHistoryStorageKey();
+  if (!key) return;
+  if (vaultSession) saveVault();
+  else store.setItem(key, JSON.stringify(history));
+  scheduleStorageCheck();
+}
+
+// Clé de stockage de la corbeille d'un compte
+function getTrashStorageKey(accountId = currentAccount ? currentAccount.id : null) {
+  if (!accountId) return null;
+  return `${TRASH_KEY_PREFIX}${accountId}`;
+}
+
+// Charge la corbeille d'un compte (tâches supprimées, les plus récentes d'abord)
+function loadTrash(accountId = currentAccount ? currentAccount.id : null) {
+  const key = getTrashStorageKey(accountId);
+  if (!key) return [];
+  try {
+    // Compte chiffré: corbeille du coffre ouvert
+    const parsed = isEncryptedAccount(accountId) ? readUnlockedVault(accountId, 'trash') : JSON.parse(store.getItem(key) || '[]');
+    if (!Array.isArray(parsed)) return [];
+    return parsed.map(normalizeTrashedTask).filter(Boolean);
+  } catch (error) {
+    console.warn('Failed to parse stored trash', error);
+    return [];
+  }
+}
+
+function saveTrash() {
+  const key = getTrashStorageKey();
+  if (!key) return;
+  if (vaultSession) saveVault();
+  else store.setItem(key, JSON.stringify(trash));
+  scheduleStorageCheck();
+}
+
+// Tâche de la corbeille: tâche normalisée + date de suppression (ISO)
+function normalizeTrashedTask(item) {
+  const task = normalizeTask(item);
+  if (!task) return undefined;
+  const deletedAt = typeof item.deletedAt === 'string' && !Number.isNaN(Date.parse(item.deletedAt))
+    ? item.deletedAt
+    : new Date().toISOString();
+  return { ...task, deletedAt };
+}
+
+// Clé de stockage des réglages d'un compte
+function getSettingsStorageKey(accountId = currentAccount ? currentAccount.id : null) {
+  if (!accountId) return null;
+  return `${SETTINGS_KEY_PREFIX}${accountId}`;
+}
+
+// Réglages d'un compte, complétés par les valeurs par défaut
+function normalizeSettings(value) {
+  const source = value && typeof value === 'object' ? value : {};
+  const dayCount = (value, fallback) => {
+    const days = Number(value);
+    return Number.isInteger(days) && days >= 0 && days <= 3650 ? days : fallback;
+  };
+  return {
+    trashRetentionDays: dayCount(source.trashRetentionDays, DEFAULT_TRASH_RETENTION_DAYS),
+    autoArchiveDays: dayCount(source.autoArchiveDays, 0),
+    layout: source.layout === 'board' ? 'board' : 'list',
+    hideDeferred: source.hideDeferred !== false,
+  };
+}
+
+function loadSettings(accountId = currentAccount ? currentAccount.id : null) {
+  const key = getSettingsStorageKey(accountId);
+  if (!key) return normalizeSettings();
+  try {
+    const raw = store.getItem(key);
+    return normalizeSettings(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn('Failed to parse stored settings', error);
+    return normalizeSettings();
+  }
+}
+
+function saveSettings() {
+  const key = getSettingsStorageKey();
+  if (!key) return;
+  store.setItem(key, JSON.stringify(settings));
+}
+
+// Clé de stockage des colonnes du tableau d'un compte
+function getBoardStorageKey(accountId = currentAccount ? currentAccount.id : null) {
+  if (!accountId) return null;
+  return `${BOARD_KEY_PREFIX}${accountId}`;
+}
+
+function loadBoardColumns(accountId = currentAccount ? currentAccount.id : null) {
+  const key = getBoardStorageKey(accountId);
+  if (!key) return normalizeBoardColumns();
+  try {
+    const raw = store.getItem(key);
+    return normalizeBoardColumns(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn('Failed to parse stored board columns', error);
+    return normalizeBoardColumns();
+  }
+}
+
+function saveBoardColumns() {
+  const key = getBoardStorageKey();
+  if (!key) return;
+  store.setItem(key, JSON.stringify(boardColumns));
+}
+
+// Colonnes { id, name } sans doublon; garantit la colonne Done et au moins une autre colonne
+function normalizeBoardColumns(value) {
+  if (!Array.isArray(value)) return DEFAULT_BOARD_COLUMNS.map(column => ({ ...column }));
+  const seen = new Set();
+  const columns = value
+    .filter(column => column && typeof column.id === 'string' && column.id && typeof column.name === 'string' && column.name.trim())
+    .filter(column => !seen.has(column.id) && seen.add(column.id))
+    .map(column => ({ id: column.id, name: column.name.trim() }));
+  if (!columns.some(column => column.id !== DONE_COLUMN_ID)) {
+    columns.unshift({ ...DEFAULT_BOARD_COLUMNS[0] });
+  }
+  if (!columns.some(column => column.id === DONE_COLUMN_ID)) {
+    columns.push({ id: DONE_COLUMN_ID, name: 'Done' });
+  }
+  return columns;
+}
+
+// Normalise une vue enregistrée (état complet de l'affichage)
+function normalizeView(view) {
+  if (!view || typeof view !== 'object') return undefined;
+  if (typeof view.id !== 'string' || typeof view.name !== 'string' || !view.name.trim()) return undefined;
+  const filters = ['all', 'active', 'completed', 'archived'].concat(SMART_LISTS);
+  const scopes = ['all', 'day', 'week', 'month'];
+  return {
+    id: view.id,
+    name: view.name.trim(),
+    filter: filters.includes(view.filter) ? view.filter : 'all',
+    sort: typeof view.sort === 'string' ? view.sort : defaultSortValue,
+    agendaScope: scopes.includes(view.agendaScope) ? view.agendaScope : 'all',
+    agendaDate: normalizeDate(view.agendaDate),
+    search: typeof view.search === 'string' ? view.search : '',
+    project: typeof view.project === 'string' ? view.project : '',
+    tags: normalizeTags(view.tags),
+    tagMatch: view.tagMatch === 'all' ? 'all' : 'any',
+  };
 }
 
 function normalizeTask(task) {
@@ -756,19 +2162,67 @@ function normalizeTask(task) {
     id: task.id,
     title: task.title,
     completed: Boolean(task.completed),
-    description: typeof task.description === 'string' ? task.description : undefined,
+    description: normalizeDescription(task.description),
     createdAt: typeof task.createdAt === 'string' ? task.createdAt : new Date().toISOString(),
     updatedAt: typeof task.updatedAt === 'string' ? task.updatedAt : new Date().toISOString(),
     dueAt: normalizeDate(task.dueAt),
+    deferUntil: normalizeDate(task.deferUntil),
     priority: normalizePriority(task.priority),
     color: normalizeColor(task.color),
+    project: normalizeProject(task.project),
+    tags: normalizeTags(task.tags),
+    subtasks: normalizeSubtasks(task.subtasks),
+    status: typeof task.status === 'string' && task.status ? task.status : undefined,
+    order: normalizeOrder(task.order),
+    startTime: normalizeTime(task.startTime),
+    duration: normalizeDuration(task.duration),
+    completedAt: task.completed ? normalizeTimestamp(task.completedAt) : undefined,
+    archivedAt: normalizeTimestamp(task.archivedAt),
+    reminder: normalizeReminder(task.reminder),
+    ...normalizeTaskRecurrence(task),
   };
 }
 
+// Horodatage ISO valide ou undefined
+function normalizeTimestamp(value) {
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return undefined;
+  return value;
+}
+
+// Normalise la checklist: liste ordonnée de { id, title, done }
+function normalizeSubtasks(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(item => item && typeof item === 'object' && typeof item.title === 'string' && item.title.trim())
+    .map(item => ({
+      id: typeof item.id === 'string' && item.id ? item.id : createId(),
+      title: item.title.trim(),
+      done: Boolean(item.done),
+    }));
+}
+
+// Champs de récurrence d'une tâche (règle, rang dans la série, identifiant de série)
+function normalizeTaskRecurrence(task) {
+  const recurrence = normalizeRecurrence(task.recurrence);
+  if (!recurrence) {
+    return { recurrence: undefined, occurrence: undefined, seriesId: undefined };
+  }
+  const occurrence = Number.isInteger(task.occurrence) && task.occurrence > 0 ? task.occurrence : 1;
+  const seriesId = typeof task.seriesId === 'string' ? task.seriesId : task.id;
+  return { recurrence, occurrence, seriesId };
+}
+
 // Rend (affiche) la liste des tâches visibles à l'écran
 function render() {
   if (!list) return;
   list.innerHTML = '';
+  if (boardColumnsContainer) boardColumnsContainer.innerHTML = '';
+  if (calendarGrid) calendarGrid.innerHTML = '';
+  if (weekPlannerDays) weekPlannerDays.innerHTML = '';
+  if (timelineGrid) timelineGrid.innerHTML = '';
+  if (timelineAnytime) timelineAnytime.innerHTML = '';
+  if (plannerTrayList) plannerTrayList.innerHTML = '';
+  updateNotificationsButton();
 
   const activeAccount = getActiveAccount();
   const readOnly = isReadOnlyMode();
@@ -778,45 +2232,240 @@ function render() {
   }
 
   const visible = getVisibleTasks();
-  emptyMessage.hidden = visible.length > 0;
+  const searchTerms = getHighlightTerms(getSearchQuery().query);
+  // Le calendrier (portée "month") et le planning (portée "week") remplacent la liste et le tableau
+  const showCalendar = agendaScope === 'month' && Boolean(calendar);
+  const showPlanner = agendaScope === 'week' && Boolean(weekPlanner);
+  const showBoard = !showCalendar && !showPlanner && settings.layout === 'board' && Boolean(board);
+  const showList = !showBoard && !showCalendar && !showPlanner;
+  list.hidden = !showList;
+  if (board) board.hidden = !showBoard;
+  if (calendar) calendar.hidden = !showCalendar;
+  if (weekPlanner) weekPlanner.hidden = !showPlanner;
+  // La chronologie complète la liste (ou le tableau) en portée "day"
+  const showTimeline = agendaScope === 'day' && Boolean(timeline);
+  if (timeline) timeline.hidden = !showTimeline;
+  if (showTimeline) {
+    renderTimeline(visible, readOnly);
+  }
+  emptyMessage.hidden = !showList || visible.length > 0;
+  updateLayoutButtons();
+  if (showBoard) {
+    renderBoard(visible, readOnly, searchTerms);
+  }
+  if (showCalendar) {
+    renderCalendar(visible);
+  }
+  if (showPlanner) {
+    renderWeekPlanner(visible, readOnly, searchTerms);
+  }
 
+  // Upcoming: une rubrique par jour dans la liste
+  const today = todayISO();
+  const groups = currentFilter === 'upcoming'
+    ? groupByDay(visible, task => getUpcomingDate(task, today), today)
+    : [{ tasks: visible }];
   const fragment = document.createDocumentFragment();
-  visible.forEach(task => {
-    const node = template.content.firstElementChild.cloneNode(true);
-    node.dataset.id = task.id;
-    if (task.completed) node.classList.add('completed');
-    if (task.priority) node.dataset.priority = task.priority;
-    if (task.color) {
-      node.classList.add('has-custom-color');
-      node.style.setProperty('--task-accent', task.color);
-      node.style.setProperty('--task-bg', hexToRgba(task.color, 0.50));
+  (showList ? groups : []).forEach(group => {
+    if (group.label) {
+      const heading = document.createElement('li');
+      heading.className = 'list-day-heading';
+      heading.textContent = group.label;
+      fragment.appendChild(heading);
     }
+    group.tasks.forEach(task => {
+      const node = template.content.firstElementChild.cloneNode(true);
+      node.dataset.id = task.id;
+      if (task.completed) node.classList.add('completed');
+      if (task.archivedAt) node.classList.add('archived');
+      if (task.projected) node.classList.add('projected');
+      if (task.priority) node.dataset.priority = task.priority;
+      if (task.color) {
+        node.classList.add('has-custom-color');
+        node.style.setProperty('--task-accent', task.color);
+        node.style.setProperty('--task-bg', hexToRgba(task.color, 0.50));
+      }
+
+      const checkbox = node.querySelector('.task-toggle');
+      checkbox.checked = task.completed;
+      checkbox.setAttribute('aria-label', `Mark ${task.title} as ${task.completed ? 'incomplete' : 'complete'}`);
+      // Les occurrences projetées ne sont pas de vraies tâches: lecture seule
+      const locked = readOnly || Boolean(task.projected);
+      checkbox.disabled = locked;
+
+      // Tri manuel: glisser la tâche ou Alt+↑/↓ depuis la poignée
+      const reorderable = currentSort === 'manual' && !locked;
+      node.draggable = reorderable;
+      const moveBtn = node.querySelector('.task-move');
+      if (moveBtn) {
+        moveBtn.hidden = !reorderable;
+        moveBtn.setAttribute('aria-label', `Reorder ${task.title}`);
+      }
 
-    const checkbox = node.querySelector('.task-toggle');
-    checkbox.checked = task.completed;
-    checkbox.setAttribute('aria-label', `Mark ${task.title} as ${task.completed ? 'incomplete' : 'complete'}`);
-    checkbox.disabled = readOnly;
+      const editBtn = node.querySelector('.task-edit');
+      const detailsBtn = node.querySelector('.task-details');
+      const deleteBtn = node.querySelector('.task-delete');
+      const archiveBtn = node.querySelector('.task-archive');
+      if (editBtn) editBtn.disabled = locked;
+      if (detailsBtn) detailsBtn.disabled = locked;
+      if (deleteBtn) deleteBtn.disabled = locked;
+      if (archiveBtn) {
+        archiveBtn.hidden = !task.completed && !task.archivedAt;
+        archiveBtn.disabled = locked;
+        archiveBtn.textContent = task.archivedAt ? 'Unarchive' : 'Archive';
+      }
 
-    const editBtn = node.querySelector('.task-edit');
-    const deleteBtn = node.querySelector('.task-delete');
-    if (editBtn) editBtn.disabled = readOnly;
-    if (deleteBtn) deleteBtn.disabled = readOnly;
+      const titleEl = node.querySelector('.task-title');
+      renderHighlightedText(titleEl, task.title, searchTerms);
 
-    const titleEl = node.querySelector('.task-title');
-    titleEl.textContent = task.title;
+      const meta = node.querySelector('.task-meta');
+      meta.textContent = formatMeta(task);
+      meta.hidden = meta.textContent.length === 0;
 
-    const meta = node.querySelector('.task-meta');
-    meta.textContent = formatMeta(task);
-    meta.hidden = meta.textContent.length === 0;
+      renderDescription(node, task);
+      renderSubtasks(node, task, locked);
 
-    fragment.appendChild(node);
+      fragment.appendChild(node);
+    });
   });
 
   list.appendChild(fragment);
   updateFilterButtons();
+  updateArchiveControls();
+  updateTagFilterBar();
+  updateSearchError();
   focusPendingTarget();
 }
 
+// Écrit le texte dans l'élément en entourant les correspondances de <mark>
+function renderHighlightedText(element, text, terms) {
+  element.textContent = '';
+  let cursor = 0;
+  findMatchRanges(text, terms).forEach(([start, end]) => {
+    if (start > cursor) element.append(text.slice(cursor, start));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    element.appendChild(mark);
+    cursor = end;
+  });
+  if (cursor < text.length) element.append(text.slice(cursor));
+}
+
+// Affiche la description (Markdown assaini) dans une zone repliable
+function renderDescription(node, task) {
+  const details = node.querySelector('.task-description');
+  if (!details) return;
+  details.hidden = !task.description;
+  if (!task.description) return;
+  // renderMarkdown échappe tout le texte: seul le HTML généré par le rendu est inséré
+  details.querySelector('.task-description-body').innerHTML = renderMarkdown(task.description);
+  details.open = expandedDescriptions.has(task.id);
+  details.addEventListener('toggle', () => {
+    if (details.open) expandedDescriptions.add(task.id); else expandedDescriptions.delete(task.id);
+  });
+}
+
+// Affiche la checklist d'une tâche (repliée sauf si l'utilisateur l'a ouverte)
+function renderSubtasks(node, task, locked) {
+  const details = node.querySelector('.task-subtasks');
+  if (!details || !subtaskTemplate) return;
+  const summary = details.querySelector('.subtasks-summary');
+  const subtaskList = details.querySelector('.subtask-list');
+  const addForm = details.querySelector('.subtask-add');
+
+  summary.textContent = task.subtasks.length > 0
+    ? `Checklist (${formatSubtaskProgress(task.subtasks)})`
+    : 'Checklist';
+  details.open = expandedSubtasks.has(task.id);
+  details.addEventListener('toggle', () => {
+    if (details.open) expandedSubtasks.add(task.id); else expandedSubtasks.delete(task.id);
+  });
+  // Rien à déplier en lecture seule si la checklist est vide
+  details.hidden = locked && task.subtasks.length === 0;
+  if (addForm) {
+    addForm.hidden = locked;
+    addForm.querySelectorAll('input, button').forEach(el => { el.disabled = locked; });
+  }
+
+  task.subtasks.forEach((item, index) => {
+    const row = subtaskTemplate.content.firstElementChild.cloneNode(true);
+    row.dataset.id = item.id;
+    if (item.done) row.classList.add('done');
+    const box = row.querySelector('.subtask-toggle');
+    box.checked = item.done;
+    box.disabled = locked;
+    row.querySelector('.subtask-title').textContent = item.title;
+    const up = row.querySelector('.subtask-move-up');
+    const down = row.querySelector('.subtask-move-down');
+    const remove = row.querySelector('.subtask-delete');
+    up.disabled = locked || index === 0;
+    down.disabled = locked || index === task.subtasks.length - 1;
+    remove.disabled = locked;
+    subtaskList.appendChild(row);
+  });
+}
+
+// Reconstruit la barre projet/tags à partir des tâches du compte affiché
+function updateTagFilterBar() {
+  const hasAccess = Boolean(getActiveAccount());
+  const projects = listProjects();
+  const tags = listTags();
+  // Un projet/tag disparu (tâches supprimées) ne doit pas rester sélectionné
+  if (currentProject && currentProject !== NO_PROJECT && !projects.includes(currentProject)) {
+    currentProject = '';
+  }
+  selectedTags = selectedTags.filter(tag => tags.includes(tag));
+
+  if (projectFilterSelect) {
+    const options = ['<option value="">All projects</option>', `<option value="${NO_PROJECT}">No project</option>`];
+    projects.forEach(project => {
+      options.push(`<option value="${escapeHtml(project)}">${escapeHtml(project)}</option>`);
+    });
+    projectFilterSelect.innerHTML = options.join('');
+    projectFilterSelect.value = currentProject;
+    projectFilterSelect.disabled = !hasAccess;
+  }
+  if (projectOptions) {
+    projectOptions.innerHTML = projects.map(project => `<option value="${escapeHtml(project)}"></option>`).join('');
+  }
+  if (tagFilterList) {
+    tagFilterList.innerHTML = tags.map(tag => {
+      const pressed = selectedTags.includes(tag);
+      return `<button type="button" data-tag="${escapeHtml(tag)}" aria-pressed="${pressed}">#${escapeHtml(tag)}</button>`;
+    }).join('');
+    tagFilterList.querySelectorAll('button').forEach(button => { button.disabled = !hasAccess; });
+  }
+  if (tagMatchSelect) {
+    tagMatchSelect.value = tagMatchMode;
+    tagMatchSelect.disabled = !hasAccess || tags.length === 0;
+  }
+}
+
+// Remet à zéro recherche et filtres projet/tags (changement de compte)
+function resetListFilters() {
+  currentProject = '';
+  selectedTags = [];
+  tagMatchMode = 'any';
+  searchQuery = '';
+  if (searchInput) searchInput.value = '';
+}
+
+// Projets utilisés par les tâches (triés, sans doublon)
+function listProjects() {
+  const projects = new Set(tasks.map(task => task.project).filter(Boolean));
+  return Array.from(projects).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+// Tags utilisés par les tâches (sans doublon, insensible à la casse)
+function listTags() {
+  const byKey = new Map();
+  tasks.forEach(task => task.tags.forEach(tag => {
+    const key = tag.toLowerCase();
+    if (!byKey.has(key)) byKey.set(key, tag);
+  }));
+  return Array.from(byKey.values()).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
 // Met à jour l'état visuel des boutons de filtre
 function updateFilterButtons() {
   const hasAccess = Boolean(getActiveAccount());
@@ -824,7 +2473,17 @@ function updateFilterButtons() {
     const isActive = button.dataset.filter === currentFilter;
     button.setAttribute('aria-pressed', String(isActive));
     button.disabled = !hasAccess;
+    // Listes intelligentes: nombre de tâches avec la portée, la recherche et les filtres actuels
+    const count = button.querySelector('.filter-count');
+    if (count) {
+      count.textContent = hasAccess ? String(getVisibleTasks(agendaScope, button.dataset.filter).length) : '';
+      count.hidden = !hasAccess;
+    }
   });
+  if (hideDeferredInput) {
+    hideDeferredInput.checked = settings.hideDeferred;
+    hideDeferredInput.disabled = !currentAccount;
+  }
 }
 
 function focusPendingTarget() {
@@ -845,25 +2504,114 @@ function focusPendingTarget() {
 }
 
 // Calcule les tâches à afficher selon filtres + agenda + tri
-function getVisibleTasks() {
-  let filtered = tasks.filter(task => {
-    if (currentFilter === 'active') {
+// (scope: portée d'agenda à appliquer, filter: filtre ou liste intelligente, pour les compteurs)
+function getVisibleTasks(scope = agendaScope, filter = currentFilter) {
+  let filtered = tasks;
+  const today = todayISO();
+
+  // Agenda d'abord: les occurrences projetées passent ensuite par les mêmes filtres
+  const range = getAgendaRange(scope);
+  if (range) {
+    const { start, end } = range;
+    filtered = filtered.filter(task => task.dueAt && task.dueAt >= start && task.dueAt <= end)
+      .concat(getProjectedOccurrences(start, end));
+  } else if (filter === 'upcoming') {
+    // Hors agenda, "Upcoming" montre aussi les prochaines occurrences des tâches récurrentes
+    filtered = filtered.concat(getProjectedOccurrences(addDaysISO(today, 1), addDaysISO(today, UPCOMING_DAYS)));
+  }
+
+  // Les tâches archivées n'apparaissent que dans la vue Archive, pour une recherche de texte ou avec is:archived
+  const { query } = getSearchQuery();
+  if (filter === 'archived') {
+    filtered = filtered.filter(task => task.archivedAt);
+  } else if (!revealsStatus(query, 'archived')) {
+    filtered = filtered.filter(task => !task.archivedAt);
+  }
+
+  // Tâches reportées: "Upcoming" les montre au jour où elles redeviennent actionnables, sinon masquées si demandé
+  if (filter !== 'upcoming' && settings.hideDeferred && !revealsStatus(query, 'deferred')) {
+    filtered = filtered.filter(task => !isDeferred(task, today));
+  }
+
+  filtered = filtered.filter(task => {
+    if (filter === 'active') {
       return !task.completed;
     }
-    if (currentFilter === 'completed') {
+    if (filter === 'completed') {
       return task.completed;
     }
+    if (SMART_LISTS.includes(filter)) {
+      return matchesSmartList(task, filter, today);
+    }
     return true;
   });
 
-  if (agendaScope === 'day') {
-    filtered = filtered.filter(task => task.dueAt && task.dueAt === agendaDate);
-  } else if (agendaScope === 'week') {
-    const { start, end } = getWeekRangeISO(agendaDate);
-    filtered = filtered.filter(task => task.dueAt && task.dueAt >= start && task.dueAt <= end);
+  filtered = filtered.filter(matchesTagFilters);
+
+  if (query) {
+    filtered = filtered.filter(task => evaluateQuery(query, task, { today }));
+  }
+
+  const sorted = sortTasks(filtered);
+  // Upcoming: jour par jour (le tri choisi s'applique dans chaque journée)
+  if (filter === 'upcoming') {
+    sorted.sort((a, b) => getUpcomingDate(a, today).localeCompare(getUpcomingDate(b, today)));
   }
+  return sorted;
+}
+
+// Date de report d'une autre occurrence: même écart avec l'échéance que la tâche d'origine
+function shiftDeferUntil(task, dueAt) {
+  if (!task.deferUntil) return undefined;
+  const days = daysBetweenISO(task.dueAt, dueAt);
+  return days === undefined ? task.deferUntil : addDaysISO(task.deferUntil, days);
+}
+
+// Analyse le champ de recherche: { query, error } (query vaut null si vide ou invalide)
+function getSearchQuery() {
+  if (!searchQuery.trim()) return { query: null, error: '' };
+  try {
+    return { query: parseQuery(searchQuery), error: '' };
+  } catch (error) {
+    if (error instanceof QueryError) return { query: null, error: error.message };
+    throw error;
+  }
+}
 
-  return sortTasks(filtered);
+// Affiche (ou masque) l'erreur de syntaxe sous le champ de recherche
+function updateSearchError() {
+  const { error } = getSearchQuery();
+  if (searchInput) searchInput.setAttribute('aria-invalid', String(Boolean(error)));
+  if (!searchError) return;
+  searchError.textContent = error;
+  searchError.hidden = !error;
+}
+
+// Vérifie le filtre projet et les tags sélectionnés (mode any/all)
+function matchesTagFilters(task) {
+  if (currentProject === NO_PROJECT && task.project) return false;
+  if (currentProject && currentProject !== NO_PROJECT && task.project !== currentProject) return false;
+  if (selectedTags.length === 0) return true;
+  const taskTags = task.tags.map(tag => tag.toLowerCase());
+  const matches = selectedTags.filter(tag => taskTags.includes(tag.toLowerCase()));
+  return tagMatchMode === 'all' ? matches.length === selectedTags.length : matches.length > 0;
+}
+
+// Occurrences à venir des tâches récurrentes (non encore générées) dans la plage donnée
+function getProjectedOccurrences(start, end) {
+  const existing = new Set(tasks
+    .filter(task => task.seriesId)
+    .map(task => `${task.seriesId}:${task.occurrence}`));
+  const out = [];
+  tasks.forEach(task => {
+    if (!task.recurrence || task.completed || task.archivedAt) return;
+    projectOccurrences(task, start, end).forEach(({ dueAt, occurrence }) => {
+      const key = `${task.seriesId}:${occurrence}`;
+      if (existing.has(key)) return;
+      out.push({ ...task, id: key, dueAt, occurrence, deferUntil: shiftDeferUntil(task, dueAt), projected: true });
+    });
+  });
+  return out;
 }
 
 // Trie les tâches selon le critère sélectionné
@@ -874,14 +2622,23 @@ function sortTasks(listToSort) {
       if (!a.dueAt && !b.dueAt) return compareCreated(a, b);
       if (!a.dueAt) return 1;
       if (!b.dueAt) return -1;
-      const diff = new Date(a.dueAt) - new Date(b.dueAt);
+      // Dates locales yyyy-mm-dd: l'ordre des chaînes est l'ordre chronologique
+      const diff = a.dueAt.localeCompare(b.dueAt);
       if (diff !== 0) return diff;
+      // Même jour: les tâches avec une heure d'abord, dans l'ordre de la journée
+      const timeDiff = (a.startTime || '99:99').localeCompare(b.startTime || '99:99');
+      if (timeDiff !== 0) return timeDiff;
       return compareCreated(a, b);
     });
     return copy;
   }
 
-  if (currentSort === 'priority') {
+  if (currentSort === 'manual') {
+    copy.sort((a, b) => compareOrder(a, b) || compareCreated(a, b));
+    return copy;
+  }
+
+  if (currentSort === 'priority') {
     const priorityRank = { high: 0, med: 1, low: 2, none: 3 };
     copy.sort((a, b) => {
       const rankA = priorityRank[a.priority || 'none'];
@@ -903,15 +2660,47 @@ function compareCreated(a, b) {
 // Construit le texte d'informations (priorité, échéance)
 function formatMeta(task) {
   const parts = [];
+  if (task.archivedAt && currentFilter !== 'archived') {
+    parts.push('Archived');
+  }
+  if (task.project) {
+    parts.push(task.project);
+  }
+  if (task.tags && task.tags.length > 0) {
+    parts.push(task.tags.map(tag => `#${tag}`).join(' '));
+  }
   if (task.priority) {
     parts.push(formatPriority(task.priority));
   }
   if (task.dueAt) {
-    parts.push(formatDueDate(task.dueAt));
+    parts.push(task.projected ? `${formatDueDate(task.dueAt)} (upcoming)` : formatDueDate(task.dueAt));
+  }
+  if (task.startTime) {
+    parts.push(formatTimeRange(task.startTime, task.duration));
+  }
+  if (isDeferred(task)) {
+    parts.push(`Deferred until ${formatISODate(task.deferUntil)}`);
+  }
+  if (task.recurrence) {
+    parts.push(formatRecurrence(task.recurrence));
+  }
+  if (task.reminder && !task.completed) {
+    parts.push(task.reminder.snoozedUntil
+      ? `Reminder snoozed until ${formatReminderTime(Date.parse(task.reminder.snoozedUntil))}`
+      : `Reminder: ${formatReminder(task.reminder)}`);
+  }
+  if (task.subtasks && task.subtasks.length > 0) {
+    parts.push(formatSubtaskProgress(task.subtasks));
   }
   return parts.join(' • ');
 }
 
+// Avancement de la checklist (ex: "3/5")
+function formatSubtaskProgress(subtasks) {
+  const done = subtasks.filter(item => item.done).length;
+  return `${done}/${subtasks.length}`;
+}
+
 // Formatage lisible de la priorité
 function formatPriority(priority) {
   if (priority === 'high') return 'High priority';
@@ -922,38 +2711,14 @@ function formatPriority(priority) {
 
 // Formatage lisible de la date d'échéance
 function formatDueDate(value) {
-  if (!value) return '';
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) return '';
-  const formatter = new Intl.DateTimeFormat(undefined, {
-    month: 'short',
-    day: 'numeric',
-  });
-  const formatted = formatter.format(date);
+  const formatted = formatISODate(value);
+  if (!formatted) return '';
   if (isPastDue(value)) {
     return `${formatted} (past due)`;
   }
   return formatted;
 }
 
-// Indique si la date est dépassée
-function isPastDue(value) {
-  if (!value) return false;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const due = new Date(value);
-  due.setHours(0, 0, 0, 0);
-  return due.getTime() < today.getTime();
-}
-
-// Normalise une date vers le format ISO (yyyy-mm-dd)
-function normalizeDate(value) {
-  if (!value) return undefined;
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) return undefined;
-  return date.toISOString().slice(0, 10);
-}
-
 // Normalise la priorité vers low/med/high ou undefined
 function normalizePriority(value) {
   if (value === 'low' || value === 'med' || value === 'high') {
@@ -969,6 +2734,35 @@ function normalizeColor(value) {
   return color.toLowerCase();
 }
 
+// Normalise la description (texte multiligne, undefined si vide)
+function normalizeDescription(value) {
+  if (typeof value !== 'string') return undefined;
+  const description = value.replace(/\r\n?/g, '\n').trim();
+  return description || undefined;
+}
+
+// Normalise le nom de projet (texte libre, undefined si vide)
+function normalizeProject(value) {
+  if (typeof value !== 'string') return undefined;
+  const project = value.trim().replace(/\s+/g, ' ');
+  return project || undefined;
+}
+
+// Normalise les tags: liste ou texte "a, b", sans '#', sans doublon (insensible à la casse)
+function normalizeTags(value) {
+  const raw = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  const seen = new Set();
+  const out = [];
+  raw.forEach(item => {
+    if (typeof item !== 'string') return;
+    const tag = item.trim().replace(/^#+/, '').replace(/\s+/g, '-');
+    if (!tag || seen.has(tag.toLowerCase())) return;
+    seen.add(tag.toLowerCase());
+    out.push(tag);
+  });
+  return out;
+}
+
 function hexToRgba(hex, alpha = 1) {
   const normalized = normalizeColor(hex);
   if (!normalized) return `rgba(255, 255, 255, ${alpha})`;
@@ -979,59 +2773,458 @@ function hexToRgba(hex, alpha = 1) {
   return `rgba(${r}, ${g}, ${b}, ${safeAlpha})`;
 }
 
-// Retourne la date du jour au format ISO local (yyyy-mm-dd)
-function todayISO() {
-  const d = new Date();
-  // convert to local date in ISO yyyy-mm-dd
-  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
-  return d.toISOString().slice(0, 10);
+// Plage { start, end } d'une portée d'agenda (null pour "all")
+function getAgendaRange(scope = agendaScope) {
+  if (scope === 'day') return { start: agendaDate, end: agendaDate };
+  if (scope === 'week') return getWeekRangeISO(agendaDate);
+  if (scope === 'month') return getMonthRangeISO(agendaDate);
+  return null;
+}
+
+// Passe l'agenda sur un jour précis (clic dans le calendrier)
+function openAgendaDay(iso) {
+  const date = normalizeDate(iso);
+  if (!date) return;
+  agendaScope = 'day';
+  agendaDate = date;
+  if (agendaScopeSelect) agendaScopeSelect.value = agendaScope;
+  if (agendaDateInput) agendaDateInput.value = agendaDate;
+  syncAgendaToForm();
+  pendingFocus = { type: 'element', selector: '#agenda-date' };
+  render();
+}
+
+// Grille du mois: semaines complètes du lundi au dimanche, tâches dans la case de leur échéance
+function renderCalendar(visible) {
+  if (!calendarGrid) return;
+  const { start, end } = getMonthRangeISO(agendaDate);
+  const today = todayISO();
+  const gridStart = getWeekRangeISO(start).start;
+  const gridEnd = getWeekRangeISO(end).end;
+  if (calendarTitle) {
+    calendarTitle.textContent = new Intl.DateTimeFormat(undefined, { month: 'long', year: 'numeric' })
+      .format(parseISODate(start));
+  }
+
+  const byDay = new Map();
+  visible.forEach(task => {
+    if (!task.dueAt) return;
+    if (!byDay.has(task.dueAt)) byDay.set(task.dueAt, []);
+    byDay.get(task.dueAt).push(task);
+  });
+  const dayLabel = new Intl.DateTimeFormat(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+
+  const fragment = document.createDocumentFragment();
+  for (let iso = gridStart; iso <= gridEnd; iso = addDaysISO(iso, 1)) {
+    const dayTasks = byDay.get(iso) || [];
+    const outside = iso < start || iso > end;
+    const cell = document.createElement('li');
+    cell.className = 'calendar-day';
+    if (outside) cell.classList.add('outside-month');
+    if (iso === today) cell.classList.add('today');
+    if (iso === agendaDate) cell.classList.add('selected');
+    if (iso < today && dayTasks.some(task => !task.completed && !task.projected)) cell.classList.add('past-due');
+
+    const dateBtn = document.createElement('button');
+    dateBtn.type = 'button';
+    dateBtn.className = 'calendar-date';
+    dateBtn.dataset.date = iso;
+    dateBtn.textContent = String(Number(iso.slice(8, 10)));
+    // Hors du mois, les tâches ne sont pas chargées: pas de nombre à annoncer
+    const count = dayTasks.length === 1 ? '1 task' : `${dayTasks.length} tasks`;
+    dateBtn.setAttribute('aria-label', outside ? dayLabel.format(parseISODate(iso)) : `${dayLabel.format(parseISODate(iso))}, ${count}`);
+    if (iso === today) dateBtn.setAttribute('aria-current', 'date');
+    cell.appendChild(dateBtn);
+
+    if (dayTasks.length > 0) {
+      const items = document.createElement('ul');
+      items.className = 'calendar-tasks';
+      dayTasks.slice(0, MAX_CALENDAR_ITEMS).forEach(task => {
+        const item = document.createElement('li');
+        const chip = document.createElement(task.projected ? 'span' : 'button');
+        chip.className = 'calendar-task';
+        if (task.completed) chip.classList.add('completed');
+        if (task.projected) chip.classList.add('projected');
+        if (task.color) chip.style.setProperty('--task-accent', task.color);
+        if (!task.projected) {
+          chip.type = 'button';
+          chip.dataset.taskId = task.id;
+        }
+        chip.textContent = task.title;
+        chip.title = task.title;
+        item.appendChild(chip);
+        items.appendChild(item);
+      });
+      cell.appendChild(items);
+    }
+
+    const overflow = dayTasks.length - MAX_CALENDAR_ITEMS;
+    if (overflow > 0) {
+      const more = document.createElement('button');
+      more.type = 'button';
+      more.className = 'calendar-more';
+      more.dataset.date = iso;
+      more.textContent = `+${overflow} more`;
+      cell.appendChild(more);
+    }
+    fragment.appendChild(cell);
+  }
+  calendarGrid.appendChild(fragment);
+}
+
+// Chronologie de la journée: créneaux horaires, tâches placées selon leur heure et leur durée
+function renderTimeline(visible, readOnly) {
+  if (!timelineGrid) return;
+  timelineGrid.style.setProperty('--hour-height', `${HOUR_HEIGHT}px`);
+  const timed = visible.filter(task => task.startTime);
+
+  const fragment = document.createDocumentFragment();
+  for (let hour = 0; hour < 24; hour += 1) {
+    const slot = document.createElement('div');
+    slot.className = 'timeline-slot';
+    slot.dataset.hour = String(hour);
+    slot.innerHTML = `<span class="timeline-hour">${minutesToTime(hour * 60)}</span>`;
+    fragment.appendChild(slot);
+  }
+
+  // Chevauchements entre tâches encore à faire: surlignées + message d'alerte
+  const pending = timed.filter(task => !task.completed);
+  const overlaps = findOverlaps(pending);
+  const overlapping = new Set(overlaps.flat());
+
+  const layer = document.createElement('div');
+  layer.className = 'timeline-events';
+  const byId = new Map(timed.map(task => [task.id, task]));
+  layoutTimeline(timed).forEach(({ id, start, end, lane, lanes }) => {
+    const task = byId.get(id);
+    const el = document.createElement('div');
+    el.className = 'timeline-event';
+    el.dataset.id = id;
+    el.tabIndex = 0;
+    if (task.completed) el.classList.add('completed');
+    if (task.projected) el.classList.add('projected');
+    if (overlapping.has(id)) el.classList.add('overlap');
+    if (task.color) el.style.setProperty('--task-accent', task.color);
+    el.style.top = `${(start / 60) * HOUR_HEIGHT}px`;
+    el.style.height = `${Math.max(((end - start) / 60) * HOUR_HEIGHT, 18)}px`;
+    el.style.left = `${(lane / lanes) * 100}%`;
+    el.style.width = `${100 / lanes}%`;
+    const range = formatTimeRange(task.startTime, task.duration);
+    el.setAttribute('aria-label', `${task.title}, ${range}`);
+    el.innerHTML = `<span class="timeline-event-title">${escapeHtml(task.title)}</span>`
+      + `<span class="timeline-event-time">${escapeHtml(range)}</span>`
+      + (readOnly || task.projected ? '' : '<span class="timeline-resize" aria-hidden="true"></span>');
+    layer.appendChild(el);
+  });
+  fragment.appendChild(layer);
+  timelineGrid.appendChild(fragment);
+
+  if (timelineAnytime) {
+    visible.filter(task => !task.startTime).forEach(task => {
+      const item = document.createElement('li');
+      item.className = 'timeline-anytime-item';
+      item.dataset.id = task.id;
+      item.draggable = !readOnly && !task.projected;
+      item.textContent = task.title;
+      timelineAnytime.appendChild(item);
+    });
+  }
+
+  if (timelineWarning) {
+    const titleOf = id => `"${byId.get(id).title}"`;
+    const messages = overlaps.slice(0, 3).map(([a, b]) => `${titleOf(a)} overlaps ${titleOf(b)}`);
+    if (overlaps.length > 3) messages.push(`${overlaps.length - 3} more`);
+    timelineWarning.textContent = overlaps.length > 0 ? `Overbooked: ${messages.join('; ')}.` : '';
+    timelineWarning.hidden = overlaps.length === 0;
+  }
+
+  // En changeant de jour, faire défiler jusqu'à la première tâche (ou 8 h)
+  if (timelineScrolledFor !== agendaDate) {
+    timelineScrolledFor = agendaDate;
+    const first = timed.reduce((min, task) => Math.min(min, timeToMinutes(task.startTime)), 8 * 60);
+    timelineGrid.scrollTop = (first / 60) * HOUR_HEIGHT - HOUR_HEIGHT / 2;
+  }
+}
+
+// Créneau horaire à la hauteur du pointeur (les tâches de la chronologie recouvrent les créneaux)
+function findTimelineSlot(event) {
+  if (!timelineGrid || !timelineGrid.contains(event.target)) return null;
+  const top = timelineGrid.getBoundingClientRect().top + timelineGrid.clientTop - timelineGrid.scrollTop;
+  const hour = Math.floor((event.clientY - top) / HOUR_HEIGHT);
+  if (!(hour >= 0 && hour < 24)) return null;
+  return timelineGrid.querySelector(`.timeline-slot[data-hour="${hour}"]`);
+}
+
+// Début borné pour que la tâche reste dans la journée
+function clampStart(start, duration) {
+  return Math.min(Math.max(start, 0), 24 * 60 - Math.min(duration, 24 * 60));
+}
+
+// Durée bornée entre un pas de grille et la fin de la journée
+function clampDuration(start, duration) {
+  return Math.min(Math.max(duration, SNAP_MINUTES), 24 * 60 - start);
 }
 
-// Convertit une chaîne ISO (yyyy-mm-dd) en objet Date (minuit local)
-function parseISOToLocalDate(iso) {
-  if (!iso || typeof iso !== 'string') return new Date();
-  const parts = iso.split('-').map(Number);
-  const d = new Date();
-  d.setFullYear(parts[0], (parts[1] || 1) - 1, parts[2] || 1);
-  d.setHours(0, 0, 0, 0);
-  return d;
+// Enregistre l'heure et/ou la durée d'une tâche (seulement si elles changent)
+function updateTaskTime(id, fields) {
+  const task = findTask(id);
+  if (!task) return;
+  const changed = {};
+  if ('startTime' in fields && fields.startTime !== task.startTime) changed.startTime = fields.startTime;
+  if ('duration' in fields && fields.duration !== task.duration) changed.duration = normalizeDuration(fields.duration);
+  if (Object.keys(changed).length === 0) {
+    pendingFocus = null;
+    render();
+    return;
+  }
+  updateTask(id, changed);
 }
 
-// Convertit un objet Date en chaîne ISO locale (yyyy-mm-dd)
-function toISODateLocal(d) {
-  const copy = new Date(d.getTime());
-  copy.setMinutes(copy.getMinutes() - copy.getTimezoneOffset());
-  return copy.toISOString().slice(0, 10);
+// Glisser une tâche de la chronologie: déplacement, ou redimensionnement par le bord inférieur
+function startTimelinePointer(event) {
+  const eventEl = event.target.closest('.timeline-event');
+  if (!eventEl || event.button !== 0 || eventEl.classList.contains('projected') || !currentAccount) return;
+  const task = findTask(eventEl.dataset.id);
+  if (!task || !task.startTime) return;
+  timelinePointer = {
+    id: task.id,
+    el: eventEl,
+    mode: event.target.closest('.timeline-resize') ? 'resize' : 'move',
+    startY: event.clientY,
+    start: timeToMinutes(task.startTime),
+    duration: task.duration || DEFAULT_DURATION,
+    delta: 0,
+  };
+  if (eventEl.setPointerCapture) eventEl.setPointerCapture(event.pointerId);
 }
 
-// Ajoute/soustrait des jours à une date ISO et renvoie une nouvelle ISO
-function addDaysISO(iso, delta) {
-  const d = parseISOToLocalDate(iso);
-  d.setDate(d.getDate() + delta);
-  return toISODateLocal(d);
+function moveTimelinePointer(event) {
+  if (!timelinePointer) return;
+  const state = timelinePointer;
+  state.delta = snapMinutes(((event.clientY - state.startY) / HOUR_HEIGHT) * 60);
+  const { start, duration } = getTimelinePointerResult(state);
+  state.el.style.top = `${(start / 60) * HOUR_HEIGHT}px`;
+  state.el.style.height = `${Math.max((duration / 60) * HOUR_HEIGHT, 18)}px`;
+  const timeLabel = state.el.querySelector('.timeline-event-time');
+  if (timeLabel) timeLabel.textContent = formatTimeRange(minutesToTime(start), duration);
 }
 
-// Calcule le lundi et le dimanche de la semaine contenant anchorISO
-function getWeekRangeISO(anchorISO) {
-  const d = parseISOToLocalDate(anchorISO);
-  const day = d.getDay(); // 0=Sun, 1=Mon, ...
-  const deltaToMonday = day === 0 ? -6 : 1 - day;
-  const monday = new Date(d.getTime());
-  monday.setDate(d.getDate() + deltaToMonday);
-  const sunday = new Date(monday.getTime());
-  sunday.setDate(monday.getDate() + 6);
-  return { start: toISODateLocal(monday), end: toISODateLocal(sunday) };
+function endTimelinePointer(event) {
+  if (!timelinePointer) return;
+  const state = timelinePointer;
+  timelinePointer = null;
+  // Sans déplacement, un clic sur le titre ouvre le panneau de détail
+  if (state.delta === 0) {
+    if (event.target.closest('.timeline-event-title')) openTaskDialog(state.id);
+    return;
+  }
+  const { start, duration } = getTimelinePointerResult(state);
+  pendingFocus = { type: 'element', selector: `.timeline-event[data-id="${state.id}"]` };
+  if (state.mode === 'resize') {
+    updateTaskTime(state.id, { duration });
+  } else {
+    updateTaskTime(state.id, { startTime: minutesToTime(start) });
+  }
 }
 
-// Quand l'agenda est actif (jour/semaine), proposer cette date pour les nouvelles tâches
+function getTimelinePointerResult(state) {
+  if (state.mode === 'resize') {
+    return { start: state.start, duration: clampDuration(state.start, state.duration + state.delta) };
+  }
+  return { start: clampStart(state.start + state.delta, state.duration), duration: state.duration };
+}
+
+// Planning de la semaine: une colonne par jour (lundi → dimanche) et le bac des tâches sans date
+function renderWeekPlanner(visible, readOnly, searchTerms) {
+  if (!weekPlannerDays) return;
+  const { start } = getWeekRangeISO(agendaDate);
+  const today = todayISO();
+  const dayName = new Intl.DateTimeFormat(undefined, { weekday: 'short' });
+  const dayLabel = new Intl.DateTimeFormat(undefined, { weekday: 'long', day: 'numeric', month: 'long' });
+
+  const fragment = document.createDocumentFragment();
+  for (let offset = 0; offset < 7; offset += 1) {
+    const iso = addDaysISO(start, offset);
+    const date = parseISODate(iso);
+    const dayTasks = visible.filter(task => task.dueAt === iso);
+    const column = document.createElement('section');
+    column.className = 'planner-day';
+    column.dataset.date = iso;
+    if (iso === today) column.classList.add('today');
+    if (iso < today && dayTasks.some(task => !task.completed && !task.projected)) column.classList.add('past-due');
+    column.setAttribute('aria-label', dayLabel.format(date));
+
+    const header = document.createElement('button');
+    header.type = 'button';
+    header.className = 'planner-day-header';
+    header.dataset.openDay = iso;
+    header.innerHTML = `<span class="planner-day-name">${escapeHtml(dayName.format(date))}</span> <span class="planner-day-number">${date.getDate()}</span>`;
+    header.setAttribute('aria-label', `Open ${dayLabel.format(date)}`);
+    if (iso === today) header.setAttribute('aria-current', 'date');
+    column.appendChild(header);
+
+    const cards = document.createElement('ul');
+    cards.className = 'planner-cards';
+    dayTasks.forEach(task => cards.appendChild(createPlannerCard(task, readOnly, searchTerms)));
+    column.appendChild(cards);
+    fragment.appendChild(column);
+  }
+  weekPlannerDays.appendChild(fragment);
+
+  // Tâches sans échéance qui passent les autres filtres
+  if (plannerTrayList) {
+    getVisibleTasks('all')
+      .filter(task => !task.dueAt && !task.projected)
+      .forEach(task => plannerTrayList.appendChild(createPlannerCard(task, readOnly, searchTerms)));
+  }
+}
+
+// Carte d'une tâche dans le planning (déplaçable sauf en lecture seule ou occurrence projetée)
+function createPlannerCard(task, readOnly, searchTerms) {
+  const card = document.createElement('li');
+  card.className = 'planner-card';
+  card.dataset.id = task.id;
+  card.tabIndex = 0;
+  if (task.completed) card.classList.add('completed');
+  if (task.projected) card.classList.add('projected');
+  card.draggable = !readOnly && !task.projected;
+  if (task.color) card.style.setProperty('--task-accent', task.color);
+  const title = document.createElement('span');
+  title.className = 'planner-card-title';
+  renderHighlightedText(title, task.title, searchTerms);
+  card.appendChild(title);
+  card.setAttribute('aria-label', task.projected ? `${task.title} (upcoming)` : task.title);
+  return card;
+}
+
+// Change (ou retire) l'échéance d'une tâche depuis le planning
+function rescheduleTask(id, dueAt) {
+  const task = findTask(id);
+  const nextDueAt = normalizeDate(dueAt);
+  if (!task || task.dueAt === nextDueAt) {
+    pendingFocus = null;
+    return;
+  }
+  updateTask(id, { dueAt: nextDueAt });
+}
+
+// Glisser-déposer d'éléments (cardSelector) vers des zones (zoneSelector) d'un conteneur
+// findZone(event): zone visée quand elle n'est pas sous le pointeur dans le DOM (recouverte par un autre élément)
+function setupDragAndDrop(container, cardSelector, zoneSelector, onDrop, findZone = event => event.target.closest(zoneSelector)) {
+  const clearTargets = except => {
+    container.querySelectorAll('.drop-target').forEach(el => {
+      if (el !== except) el.classList.remove('drop-target');
+    });
+  };
+  container.addEventListener('dragstart', event => {
+    const card = event.target.closest(cardSelector);
+    if (!card || !event.dataTransfer) return;
+    event.dataTransfer.setData('text/plain', card.dataset.id);
+    event.dataTransfer.effectAllowed = 'move';
+    card.classList.add('dragging');
+  });
+  container.addEventListener('dragend', event => {
+    const card = event.target.closest(cardSelector);
+    if (card) card.classList.remove('dragging');
+    clearTargets(null);
+  });
+  container.addEventListener('dragover', event => {
+    const zone = findZone(event);
+    if (!zone || !container.contains(zone) || !currentAccount) return;
+    event.preventDefault();
+    if (event.dataTransfer) event.dataTransfer.dropEffect = 'move';
+    clearTargets(zone);
+    zone.classList.add('drop-target');
+  });
+  container.addEventListener('drop', event => {
+    const zone = findZone(event);
+    if (!zone || !container.contains(zone) || !event.dataTransfer) return;
+    event.preventDefault();
+    clearTargets(null);
+    const id = event.dataTransfer.getData('text/plain');
+    if (id) onDrop(id, zone);
+  });
+}
+
+// Quand l'agenda est actif (jour/semaine/mois), proposer cette date pour les nouvelles tâches
 function syncAgendaToForm() {
   if (!dueInput) return;
-  if (agendaScope === 'day' || agendaScope === 'week') {
+  if (agendaScope === 'day' || agendaScope === 'week' || agendaScope === 'month') {
     // default new task due date to selected agenda date
     dueInput.value = agendaDate;
   }
 }
 
+// Lit la règle de répétition saisie dans un groupe de champs (formulaire d'ajout ou panneau)
+function readRecurrenceFields(fieldset) {
+  if (!fieldset) return undefined;
+  const field = name => fieldset.querySelector(`[name="${name}"]`);
+  const freqField = field('repeat');
+  if (!freqField || !freqField.value) return undefined;
+  const weekdays = Array.from(fieldset.querySelectorAll('input[name="repeatWeekday"]:checked'), box => Number(box.value));
+  const untilField = field('repeatUntil');
+  return normalizeRecurrence({
+    freq: freqField.value,
+    interval: field('repeatInterval') ? field('repeatInterval').value : 1,
+    weekdays,
+    monthDay: field('repeatMonthDay') ? field('repeatMonthDay').value : undefined,
+    until: untilField ? normalizeDate(untilField.value) : undefined,
+    count: field('repeatCount') ? field('repeatCount').value : undefined,
+  });
+}
+
+// Pré-remplit un groupe de champs de répétition avec une règle existante
+function writeRecurrenceFields(fieldset, rule) {
+  if (!fieldset) return;
+  const field = name => fieldset.querySelector(`[name="${name}"]`);
+  const setValue = (name, value) => {
+    const el = field(name);
+    if (el) el.value = value === undefined ? '' : String(value);
+  };
+  setValue('repeat', rule ? rule.freq : '');
+  setValue('repeatInterval', rule ? rule.interval : 1);
+  setValue('repeatMonthDay', rule ? rule.monthDay : '');
+  setValue('repeatUntil', rule ? rule.until : '');
+  setValue('repeatCount', rule ? rule.count : '');
+  const weekdays = rule && rule.weekdays ? rule.weekdays : [];
+  fieldset.querySelectorAll('input[name="repeatWeekday"]').forEach(box => {
+    box.checked = weekdays.includes(Number(box.value));
+  });
+  updateRecurrenceFields(fieldset);
+}
+
+// Affiche uniquement les champs utiles à la fréquence choisie
+function updateRecurrenceFields(fieldset) {
+  if (!fieldset) return;
+  const freqField = fieldset.querySelector('[name="repeat"]');
+  const freq = freqField ? freqField.value : '';
+  fieldset.querySelectorAll('[data-repeat-for]').forEach(el => {
+    el.hidden = !freq || !el.dataset.repeatFor.split(' ').includes(freq);
+  });
+}
+
+// Pré-remplit les champs de rappel du panneau de détail
+function writeReminderFields(reminder) {
+  if (!detailReminderFieldset) return;
+  const field = name => detailReminderFieldset.querySelector(`[name="${name}"]`);
+  const offset = reminder && !reminder.at ? splitBeforeMinutes(reminder.before) : { amount: 15, unit: 'minutes' };
+  field('reminderMode').value = reminder ? (reminder.at ? 'at' : 'before') : '';
+  field('reminderAmount').value = String(offset.amount);
+  field('reminderUnit').value = offset.unit;
+  field('reminderAt').value = reminder && reminder.at ? reminder.at : '';
+  updateReminderFields();
+}
+
+// Affiche uniquement les champs utiles au type de rappel choisi
+function updateReminderFields() {
+  if (!detailReminderFieldset) return;
+  const modeField = detailReminderFieldset.querySelector('[name="reminderMode"]');
+  const mode = modeField ? modeField.value : '';
+  detailReminderFieldset.querySelectorAll('[data-reminder-for]').forEach(el => {
+    el.hidden = el.dataset.reminderFor !== mode;
+  });
+}
+
 function setAgendaCollapsed(nextState) {
   agendaCollapsed = Boolean(nextState);
   if (!agendaSection || !agendaBody || !agendaToggleBtn) return;
@@ -1063,8 +3256,8 @@ function closeMenu() {
 // Exporte en CSV la liste de tâches actuellement affichée à l'écran
 function exportVisibleTasksToCSV() {
   if (!getActiveAccount()) return; // disabled from UI otherwise
-  const visible = getVisibleTasks();
-  const headers = ['id','title','completed','createdAt','updatedAt','dueAt','priority','color'];
+  const visible = getVisibleTasks().filter(task => !task.projected);
+  const headers = ['id','title','description','completed','createdAt','updatedAt','dueAt','deferUntil','startTime','duration','priority','color','project','tags','subtasks','order'];
   const lines = [headers.join(',')];
   const escape = (val) => {
     if (val === undefined || val === null) return '';
@@ -1075,7 +3268,9 @@ function exportVisibleTasksToCSV() {
     return s;
   };
   visible.forEach(t => {
-    const row = [t.id, t.title, t.completed, t.createdAt, t.updatedAt, t.dueAt || '', t.priority || '', t.color || ''].map(escape).join(',');
+    // Checklist aplatie dans une seule cellule: "[x] item; [ ] item"
+    const subtasks = t.subtasks.map(item => `[${item.done ? 'x' : ' '}] ${item.title}`).join('; ');
+    const row = [t.id, t.title, t.description || '', t.completed, t.createdAt, t.updatedAt, t.dueAt || '', t.deferUntil || '', t.startTime || '', t.duration || '', t.priority || '', t.color || '', t.project || '', t.tags.join(';'), subtasks, t.order].map(escape).join(',');
     lines.push(row);
   });
   const content = lines.join('\n');
@@ -1105,23 +3300,96 @@ function downloadTextFile(content, fileName, mimeType = 'application/json;charse
   URL.revokeObjectURL(url);
 }
 
+// Compte connecté: la sauvegarde reprend l'état en mémoire, même s'il n'a pas pu être enregistré
+function isCurrentAccount(accountId) {
+  return Boolean(currentAccount) && currentAccount.id === accountId;
+}
+
 function getAllTaskMapByUser() {
   const users = loadUsers();
   const out = {};
   Object.keys(users).forEach((accountId) => {
-    out[accountId] = loadTasks(accountId);
+    // Comptes chiffrés: exportés dans vaultsByUser
+    if (hasEncryption(users[accountId])) return;
+    out[accountId] = isCurrentAccount(accountId) ? tasks : loadTasks(accountId);
   });
   return out;
 }
 
-function exportBackup() {
+function getAllViewMapByUser() {
+  const users = loadUsers();
+  const out = {};
+  Object.keys(users).forEach((accountId) => {
+    out[accountId] = isCurrentAccount(accountId) ? savedViews : loadViews(accountId);
+  });
+  return out;
+}
+
+function getAllTrashMapByUser() {
+  const users = loadUsers();
+  const out = {};
+  Object.keys(users).forEach((accountId) => {
+    // Comptes chiffrés: exportés dans vaultsByUser
+    if (hasEncryption(users[accountId])) return;
+    out[accountId] = isCurrentAccount(accountId) ? trash : loadTrash(accountId);
+  });
+  return out;
+}
+
+function getAllSettingsMapByUser() {
+  const users = loadUsers();
+  const out = {};
+  Object.keys(users).forEach((accountId) => {
+    out[accountId] = isCurrentAccount(accountId) ? settings : loadSettings(accountId);
+  });
+  return out;
+}
+
+function getAllBoardMapByUser() {
+  const users = loadUsers();
+  const out = {};
+  Object.keys(users).forEach((accountId) => {
+    out[accountId] = isCurrentAccount(accountId) ? boardColumns : loadBoardColumns(accountId);
+  });
+  return out;
+}
+
+// Coffres des comptes chiffrés, exportés chiffrés (le coffre ouvert est rechiffré avec l'état en mémoire)
+async function getAllVaultMapByUser() {
+  const users = loadUsers();
+  const entries = await Promise.all(Object.keys(users)
+    .filter(accountId => hasEncryption(users[accountId]))
+    .map(async (accountId) => {
+      if (vaultSession && vaultSession.accountId === accountId) {
+        return [accountId, await encryptVault(vaultSession.key, { schema: SCHEMA_VERSION, tasks, trash, history })];
+      }
+      try {
+        return [accountId, JSON.parse(store.getItem(getVaultStorageKey(accountId)))];
+      } catch (error) {
+        console.warn(`Failed to read the encrypted data of ${accountId}`, error);
+        return [accountId, null];
+      }
+    }));
+  const out = {};
+  entries.forEach(([accountId, vault]) => {
+    if (isVaultPayload(vault)) out[accountId] = vault;
+  });
+  return out;
+}
+
+async function exportBackup() {
   const stamp = new Date();
   const pad = (n) => String(n).padStart(2, '0');
   const snapshot = {
-    version: 1,
+    version: SCHEMA_VERSION,
     exportedAt: stamp.toISOString(),
-    users: loadUsers(),
+    users: withoutPasswordHashes(loadUsers()),
     tasksByUser: getAllTaskMapByUser(),
+    viewsByUser: getAllViewMapByUser(),
+    trashByUser: getAllTrashMapByUser(),
+    settingsByUser: getAllSettingsMapByUser(),
+    boardsByUser: getAllBoardMapByUser(),
+    vaultsByUser: await getAllVaultMapByUser(),
   };
   const content = JSON.stringify(snapshot, null, 2);
   const fileName = `todo-backup-${stamp.getFullYear()}${pad(stamp.getMonth()+1)}${pad(stamp.getDate())}-${pad(stamp.getHours())}${pad(stamp.getMinutes())}${pad(stamp.getSeconds())}.json`;
@@ -1130,6 +3398,14 @@ function exportBackup() {
   window.alert(`Sauvegarde exportée: ${fileName}`);
 }
 
+// Export demandé par l'utilisateur: un échec (chiffrement du coffre ouvert...) lui est signalé
+function requestBackupExport() {
+  exportBackup().catch((error) => {
+    console.warn('Failed to export the backup', error);
+    setAuthMessage(`Export impossible: ${error.message || error}`, true);
+  });
+}
+
 function importBackupFromText(rawText) {
   if (!rawText || typeof rawText !== 'string') {
     throw new Error('Empty backup content');
@@ -1148,6 +3424,8 @@ function importBackupFromText(rawText) {
   if (!parsed || typeof parsed !== 'object') {
     throw new Error('Invalid backup format');
   }
+  // Sauvegarde d'une version antérieure mise à jour étape par étape (plus récente: MigrationError)
+  parsed = migrate(parsed, parsed.version).data;
 
   const users = parsed.users;
   const tasksByUser = parsed.tasksByUser;
@@ -1158,30 +3436,109 @@ function importBackupFromText(rawText) {
     throw new Error('Invalid tasks payload');
   }
 
+  // Les sauvegardes plus anciennes n'ont pas de vues enregistrées
+  const viewsByUser = parsed.viewsByUser || {};
+  if (typeof viewsByUser !== 'object' || Array.isArray(viewsByUser)) {
+    throw new Error('Invalid views payload');
+  }
+  const trashByUser = parsed.trashByUser || {};
+  if (typeof trashByUser !== 'object' || Array.isArray(trashByUser)) {
+    throw new Error('Invalid trash payload');
+  }
+  // Réglages (rétention de la corbeille...): absents des sauvegardes plus anciennes
+  const settingsByUser = parsed.settingsByUser || {};
+  if (typeof settingsByUser !== 'object' || Array.isArray(settingsByUser)) {
+    throw new Error('Invalid settings payload');
+  }
+  const boardsByUser = parsed.boardsByUser || {};
+  if (typeof boardsByUser !== 'object' || Array.isArray(boardsByUser)) {
+    throw new Error('Invalid boards payload');
+  }
+  // Coffres des comptes chiffrés: repris tels quels (illisibles sans le mot de passe)
+  const vaultsByUser = parsed.vaultsByUser || {};
+  if (typeof vaultsByUser !== 'object' || Array.isArray(vaultsByUser)) {
+    throw new Error('Invalid vaults payload');
+  }
+
   const accounts = Object.keys(users);
   accounts.forEach((accountId) => {
     const value = tasksByUser[accountId];
     if (value !== undefined && !Array.isArray(value)) {
       throw new Error(`Invalid tasks list for ${accountId}`);
     }
+    const views = viewsByUser[accountId];
+    if (views !== undefined && !Array.isArray(views)) {
+      throw new Error(`Invalid views list for ${accountId}`);
+    }
+    const trashed = trashByUser[accountId];
+    if (trashed !== undefined && !Array.isArray(trashed)) {
+      throw new Error(`Invalid trash list for ${accountId}`);
+    }
+    const accountSettings = settingsByUser[accountId];
+    if (accountSettings !== undefined && (!accountSettings || typeof accountSettings !== 'object' || Array.isArray(accountSettings))) {
+      throw new Error(`Invalid settings for ${accountId}`);
+    }
+    const columns = boardsByUser[accountId];
+    if (columns !== undefined && !Array.isArray(columns)) {
+      throw new Error(`Invalid board columns for ${accountId}`);
+    }
+    const vault = vaultsByUser[accountId];
+    if (vault !== undefined && !isVaultPayload(vault)) {
+      throw new Error(`Invalid encrypted data for ${accountId}`);
+    }
   });
 
   if (!window.confirm('Importer la sauvegarde va écraser les comptes et tâches locaux. Continuer ?')) {
     return;
   }
 
+  // Tâches du compte connecté avant import, pour pouvoir annuler l'import
+  const previousAccountId = currentAccount ? currentAccount.id : null;
+  const previousTasks = tasks;
+  // Coffre ouvert remplacé par l'import: ses écritures en attente sont abandonnées, la clé oubliée
+  if (vaultSession) {
+    vaultSession.discarded = true;
+    vaultSession = null;
+  }
+
   saveUsers(users);
+  store.setItem(SCHEMA_KEY, String(SCHEMA_VERSION));
   accounts.forEach((accountId) => {
     const key = getTaskStorageKey(accountId);
     if (!key) return;
-    const arr = Array.isArray(tasksByUser[accountId]) ? tasksByUser[accountId].map(normalizeTask).filter(Boolean) : [];
-    window.localStorage.setItem(key, JSON.stringify(arr));
+    const vaultKey = getVaultStorageKey(accountId);
+    if (hasEncryption(users[accountId])) {
+      // Compte chiffré: seul son coffre est repris (sans coffre: compte vide)
+      if (vaultsByUser[accountId]) store.setItem(vaultKey, JSON.stringify(vaultsByUser[accountId]));
+      else store.removeItem(vaultKey);
+      removePlainCopies(accountId);
+    } else {
+      const arr = Array.isArray(tasksByUser[accountId]) ? tasksByUser[accountId].map(normalizeTask).filter(Boolean) : [];
+      store.setTasks(key, arr);
+      const trashed = Array.isArray(trashByUser[accountId]) ? trashByUser[accountId].map(normalizeTrashedTask).filter(Boolean) : [];
+      store.setItem(getTrashStorageKey(accountId), JSON.stringify(trashed));
+      // Historique local: il décrit des tâches remplacées par l'import
+      if (store.getItem(getHistoryStorageKey(accountId)) !== null) store.removeItem(getHistoryStorageKey(accountId));
+      if (store.getItem(vaultKey) !== null) store.removeItem(vaultKey);
+    }
+    const views = Array.isArray(viewsByUser[accountId]) ? viewsByUser[accountId].map(normalizeView).filter(Boolean) : [];
+    store.setItem(getViewsStorageKey(accountId), JSON.stringify(views));
+    store.setItem(getBoardStorageKey(accountId), JSON.stringify(normalizeBoardColumns(boardsByUser[accountId])));
+    // Sauvegarde sans réglages (version antérieure): ceux du navigateur sont gardés
+    if (settingsByUser[accountId]) store.setItem(getSettingsStorageKey(accountId), JSON.stringify(normalizeSettings(settingsByUser[accountId])));
   });
 
   const currentSession = loadSession();
-  if (currentSession) {
+  // Compte chiffré: la clé dépend du mot de passe et du sel de la sauvegarde, il faut se reconnecter
+  const locked = Boolean(currentSession) && isAccountLocked(currentSession.id);
+  if (currentSession && !locked) {
     setCurrentAccount(currentSession);
+    if (currentAccount && currentAccount.id === previousAccountId) {
+      recordHistory('Import backup', previousTasks);
+      updateHistoryButtons();
+    }
   } else {
+    if (currentAccount) setCurrentAccount(null, { keepSession: true });
     clearPreviewAccount();
     updateAuthVisibility();
     populateReadonlyAccountsMenu();
@@ -1194,11 +3551,13 @@ function importBackupFromText(rawText) {
 
   setAuthMessage('Sauvegarde importée avec succès.');
   window.alert('Sauvegarde importée avec succès.');
+  if (locked) promptUnlock(currentSession);
 }
 
 // Met à jour une tâche existante (champs modifiés + horodatage)
 function updateTask(id, nextFields) {
   if (!currentAccount) return;
+  const previous = tasks;
   let changed = false;
   tasks = tasks.map(task => {
     if (task.id !== id) return task;
@@ -1210,6 +3569,14 @@ function updateTask(id, nextFields) {
         taskChanged = true;
       }
     });
+    // Nouvelle échéance ou heure de début: le rappel suit (sauf s'il est changé en même temps)
+    if (task.reminder && !('reminder' in nextFields) && (updated.dueAt !== task.dueAt || updated.startTime !== task.startTime)) {
+      updated.reminder = reminderForReschedule(task.reminder);
+    }
+    // Date de fin: sert à l'archivage automatique
+    if ('completed' in nextFields && Boolean(task.completed) !== Boolean(updated.completed)) {
+      updated.completedAt = updated.completed ? new Date().toISOString() : undefined;
+    }
     if (taskChanged) {
       updated.updatedAt = new Date().toISOString();
       changed = true;
@@ -1223,10 +3590,83 @@ function updateTask(id, nextFields) {
     return;
   }
 
+  if (nextFields.completed === true) {
+    spawnNextOccurrence(id);
+  }
+
+  recordHistory(describeUpdate(findTask(id), nextFields), previous);
+  saveTasks();
+  render();
+}
+
+// Libellé d'historique d'une modification (ex: Complete "Rapport")
+function describeUpdate(task, nextFields) {
+  const title = task ? task.title : '';
+  if ('completed' in nextFields && Object.keys(nextFields).length === 1) {
+    return `${nextFields.completed ? 'Complete' : 'Reopen'} "${title}"`;
+  }
+  if ('archivedAt' in nextFields && Object.keys(nextFields).length === 1) {
+    return `${nextFields.archivedAt ? 'Archive' : 'Unarchive'} "${title}"`;
+  }
+  if ('status' in nextFields) {
+    return `Move "${title}"`;
+  }
+  if (Object.keys(nextFields).every(key => key === 'deferUntil')) {
+    return `Defer "${title}"`;
+  }
+  if (Object.keys(nextFields).every(key => ['dueAt', 'startTime', 'duration'].includes(key))) {
+    return `Reschedule "${title}"`;
+  }
+  return `Edit "${title}"`;
+}
+
+// Tri manuel: place la tâche id avant (ou après) targetId (voir moveInOrder)
+function moveTaskInOrder(id, targetId, position) {
+  const task = findTask(id);
+  if (!currentAccount || !task || currentSort !== 'manual') {
+    pendingFocus = null;
+    return;
+  }
+  // Tâches renumérotées datées: la fusion entre onglets garde la version la plus récente
+  const next = moveInOrder(tasks, id, targetId, position, { updatedAt: new Date().toISOString() });
+  if (next === tasks) {
+    pendingFocus = null;
+    return;
+  }
+  const previous = tasks;
+  tasks = next;
+  recordHistory(`Reorder "${task.title}"`, previous);
   saveTasks();
   render();
 }
 
+// Génère l'occurrence suivante d'une tâche récurrente qui vient d'être terminée
+function spawnNextOccurrence(id) {
+  const task = findTask(id);
+  if (!task || !task.recurrence) return;
+  const next = nextOccurrence(task);
+  if (!next) return;
+  // Évite les doublons si la tâche est décochée puis recochée
+  const exists = tasks.some(item => item.seriesId === task.seriesId && item.occurrence === next.occurrence);
+  if (exists) return;
+
+  const timestamp = new Date().toISOString();
+  const nextTask = {
+    ...task,
+    id: createId(),
+    completed: false,
+    completedAt: undefined,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    dueAt: next.dueAt,
+    deferUntil: shiftDeferUntil(task, next.dueAt),
+    occurrence: next.occurrence,
+    reminder: reminderForOccurrence(task.reminder, task.dueAt, next.dueAt),
+    subtasks: task.subtasks.map(item => ({ ...item, id: createId(), done: false })),
+  };
+  tasks = [nextTask, ...tasks];
+}
+
 // Supprime une tâche par identifiant
 function deleteTask(id) {
   if (!currentAccount) return;
@@ -1235,14 +3675,1011 @@ function deleteTask(id) {
     pendingFocus = null;
     return;
   }
+  const previous = tasks;
+  const removed = findTaskIn(previous, id);
   tasks = next;
+  trash = [{ ...removed, deletedAt: new Date().toISOString() }, ...trash.filter(item => item.id !== id)];
+  recordHistory(`Delete "${removed.title}"`, previous, { trashed: true });
+  saveTrash();
+  saveTasks();
+  updateTrashMenuButton();
+  render();
+}
+
+// Enregistre dans l'historique les différences entre previousTasks et tasks
+// options.trashed: les tâches retirées sont parties dans la corbeille
+function recordHistory(label, previousTasks, options = {}) {
+  if (!currentAccount) return;
+  const changes = diffTaskLists(previousTasks, tasks);
+  if (changes.length === 0) return;
+  if (options.trashed) {
+    changes.forEach(change => {
+      if (!change.after) change.trashed = true;
+    });
+  }
+  history = pushHistoryEntry(history, { label, at: new Date().toISOString(), changes });
+  saveHistory();
+  updateHistoryButtons();
+}
+
+// Annule (side "before") ou rétablit ("after") une action; la corbeille suit (voir history.js)
+function applyHistoryEntry(entry, side) {
+  const result = applyHistoryChanges({ tasks, trash }, entry.changes, side, { normalize: normalizeTask });
+  tasks = result.tasks;
+  if (result.trash !== trash) {
+    trash = result.trash;
+    saveTrash();
+    updateTrashMenuButton();
+  }
+}
+
+function undo() {
+  if (!currentAccount || history.undo.length === 0) return;
+  const entry = history.undo[history.undo.length - 1];
+  applyHistoryEntry(entry, 'before');
+  history.undo = history.undo.slice(0, -1);
+  history.redo = limitHistoryStack([...history.redo, entry]);
+  saveHistory();
+  saveTasks();
+  setAuthMessage(`Undone: ${entry.label}`);
+  updateHistoryButtons();
+  render();
+}
+
+function redo() {
+  if (!currentAccount || history.redo.length === 0) return;
+  const entry = history.redo[history.redo.length - 1];
+  applyHistoryEntry(entry, 'after');
+  history.redo = history.redo.slice(0, -1);
+  history.undo = limitHistoryStack([...history.undo, entry]);
+  saveHistory();
+  saveTasks();
+  setAuthMessage(`Redone: ${entry.label}`);
+  updateHistoryButtons();
+  render();
+}
+
+// Active les boutons annuler/rétablir et affiche l'action concernée en info-bulle
+function updateHistoryButtons() {
+  const lastUndo = history.undo[history.undo.length - 1];
+  const lastRedo = history.redo[history.redo.length - 1];
+  if (undoButton) {
+    undoButton.disabled = !currentAccount || !lastUndo;
+    undoButton.title = lastUndo ? `Undo: ${lastUndo.label}` : 'Nothing to undo';
+  }
+  if (redoButton) {
+    redoButton.disabled = !currentAccount || !lastRedo;
+    redoButton.title = lastRedo ? `Redo: ${lastRedo.label}` : 'Nothing to redo';
+  }
+}
+
+// Vrai si l'élément gère lui-même Ctrl+Z (champ texte, zone de texte)
+function isTextEntryTarget(target) {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+  if (target.tagName !== 'INPUT') return false;
+  return ['text', 'search', 'password', 'email', 'url', 'number', 'date'].includes(target.type);
+}
+
+// Bascule entre la liste et le tableau (mémorisé par compte)
+function setLayout(layout) {
+  const next = layout === 'board' ? 'board' : 'list';
+  if (settings.layout === next) return;
+  settings = { ...settings, layout: next };
+  saveSettings();
+  render();
+}
+
+function updateLayoutButtons() {
+  layoutButtons.forEach(button => {
+    button.setAttribute('aria-pressed', String(button.dataset.layout === settings.layout));
+    button.disabled = !getActiveAccount();
+  });
+}
+
+// Colonne d'une tâche: Done si terminée, sinon son statut (ou la première colonne)
+function getTaskColumnId(task) {
+  if (task.completed) return DONE_COLUMN_ID;
+  const column = boardColumns.find(item => item.id === task.status && item.id !== DONE_COLUMN_ID);
+  return column ? column.id : boardColumns.find(item => item.id !== DONE_COLUMN_ID).id;
+}
+
+// Affiche les tâches visibles groupées par colonne
+function renderBoard(visible, readOnly, searchTerms) {
+  if (!boardColumnsContainer) return;
+  const byColumn = new Map(boardColumns.map(column => [column.id, []]));
+  visible
+    .filter(task => !task.projected)
+    .forEach(task => byColumn.get(getTaskColumnId(task)).push(task));
+
+  const fragment = document.createDocumentFragment();
+  boardColumns.forEach((column, index) => {
+    const section = document.createElement('section');
+    section.className = 'board-column';
+    section.dataset.column = column.id;
+    if (column.id === DONE_COLUMN_ID) section.classList.add('done-column');
+    const cards = byColumn.get(column.id);
+    const name = escapeHtml(column.name);
+    const controls = readOnly ? '' : `<span class="board-column-actions">`
+      + `<button type="button" data-column-action="left" aria-label="Move column ${name} left"${index === 0 ? ' disabled' : ''}>←</button>`
+      + `<button type="button" data-column-action="rename" aria-label="Rename column ${name}">✎</button>`
+      + `<button type="button" data-column-action="right" aria-label="Move column ${name} right"${index === boardColumns.length - 1 ? ' disabled' : ''}>→</button>`
+      + '</span>';
+    section.innerHTML = `<header class="board-column-header"><h3>${name} <span class="board-count">${cards.length}</span></h3>${controls}</header>`;
+    section.setAttribute('aria-label', column.name);
+
+    const cardList = document.createElement('ul');
+    cardList.className = 'board-cards';
+    cards.forEach(task => {
+      const card = document.createElement('li');
+      card.className = 'board-card';
+      card.dataset.id = task.id;
+      card.draggable = !readOnly;
+      if (task.color) card.style.setProperty('--task-accent', task.color);
+      const title = document.createElement('span');
+      title.className = 'board-card-title';
+      renderHighlightedText(title, task.title, searchTerms);
+      card.appendChild(title);
+      const metaText = formatMeta(task);
+      if (metaText) {
+        const meta = document.createElement('span');
+        meta.className = 'board-card-meta';
+        meta.textContent = metaText;
+        card.appendChild(meta);
+      }
+      if (!readOnly) {
+        const moves = document.createElement('span');
+        moves.className = 'board-card-moves';
+        moves.innerHTML = `<button type="button" data-card-move="-1" aria-label="Move ${escapeHtml(task.title)} to previous column"${index === 0 ? ' disabled' : ''}>←</button>`
+          + `<button type="button" data-card-move="1" aria-label="Move ${escapeHtml(task.title)} to next column"${index === boardColumns.length - 1 ? ' disabled' : ''}>→</button>`;
+        card.appendChild(moves);
+      }
+      cardList.appendChild(card);
+    });
+    section.appendChild(cardList);
+    fragment.appendChild(section);
+  });
+  boardColumnsContainer.appendChild(fragment);
+  if (boardAddColumnBtn) boardAddColumnBtn.hidden = readOnly;
+}
+
+// Déplace une tâche dans une colonne; la colonne Done coche la tâche
+function moveTaskToColumn(id, columnId) {
+  const task = findTask(id);
+  const column = boardColumns.find(item => item.id === columnId);
+  if (!task || !column) return;
+  if (column.id === DONE_COLUMN_ID) {
+    if (!task.completed) updateTask(id, { completed: true });
+    return;
+  }
+  // Le statut précédent est gardé quand on termine: rouvrir renvoie dans la même colonne
+  const nextFields = {};
+  if (task.status !== column.id) nextFields.status = column.id;
+  if (task.completed) nextFields.completed = false;
+  if (Object.keys(nextFields).length === 0) return;
+  updateTask(id, nextFields);
+}
+
+function addBoardColumn() {
+  if (!currentAccount) return;
+  const answer = window.prompt('Nom de la colonne :');
+  const name = answer ? answer.trim() : '';
+  if (!name) return;
+  // La nouvelle colonne se place juste avant Done
+  const doneIndex = boardColumns.findIndex(column => column.id === DONE_COLUMN_ID);
+  boardColumns = [...boardColumns.slice(0, doneIndex), { id: createId(), name }, ...boardColumns.slice(doneIndex)];
+  saveBoardColumns();
+  render();
+}
+
+function renameBoardColumn(columnId) {
+  if (!currentAccount) return;
+  const column = boardColumns.find(item => item.id === columnId);
+  if (!column) return;
+  const answer = window.prompt('Nouveau nom de la colonne :', column.name);
+  const name = answer ? answer.trim() : '';
+  if (!name || name === column.name) return;
+  boardColumns = boardColumns.map(item => (item.id === columnId ? { ...item, name } : item));
+  saveBoardColumns();
+  render();
+}
+
+// Décale une colonne d'un cran vers la gauche (-1) ou la droite (+1)
+function moveBoardColumn(columnId, delta) {
+  if (!currentAccount) return;
+  const index = boardColumns.findIndex(item => item.id === columnId);
+  const target = index + delta;
+  if (index === -1 || target < 0 || target >= boardColumns.length) return;
+  const next = [...boardColumns];
+  [next[index], next[target]] = [next[target], next[index]];
+  boardColumns = next;
+  saveBoardColumns();
+  pendingFocus = { type: 'element', selector: `.board-column[data-column="${columnId}"] button[data-column-action="${delta < 0 ? 'left' : 'right'}"]` };
+  render();
+}
+
+// Archive d'un coup toutes les tâches terminées (une seule entrée d'historique)
+function archiveCompletedTasks() {
+  if (!currentAccount) return;
+  const previous = tasks;
+  const now = new Date().toISOString();
+  let count = 0;
+  tasks = tasks.map(task => {
+    if (!task.completed || task.archivedAt) return task;
+    count += 1;
+    return { ...task, archivedAt: now, updatedAt: now };
+  });
+  if (count === 0) {
+    setAuthMessage('No completed tasks to archive.');
+    return;
+  }
+  recordHistory(`Archive ${count} completed task(s)`, previous);
+  saveTasks();
+  setAuthMessage(`${count} completed task(s) archived.`);
+  render();
+}
+
+// Archive les tâches terminées depuis plus de settings.autoArchiveDays jours (0 = désactivé)
+function autoArchiveTasks(now = Date.now()) {
+  if (!currentAccount || settings.autoArchiveDays === 0) return 0;
+  const limit = now - settings.autoArchiveDays * DAY_MS;
+  const stamp = new Date(now).toISOString();
+  let count = 0;
+  tasks = tasks.map(task => {
+    if (!task.completed || task.archivedAt) return task;
+    // Tâches terminées avant l'ajout de completedAt: on se fie à la dernière modification
+    const completedAt = Date.parse(task.completedAt || task.updatedAt);
+    if (!(completedAt <= limit)) return task;
+    count += 1;
+    return { ...task, archivedAt: stamp, updatedAt: stamp };
+  });
+  if (count > 0) saveTasks();
+  return count;
+}
+
+// Change le délai d'archivage automatique (jours) et l'applique immédiatement
+function setAutoArchiveDays(value) {
+  if (!currentAccount) return;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > 3650) {
+    updateArchiveControls();
+    return;
+  }
+  settings = { ...settings, autoArchiveDays: days };
+  saveSettings();
+  const count = autoArchiveTasks();
+  if (count > 0) setAuthMessage(`${count} completed task(s) archived automatically.`);
+  render();
+}
+
+// Active les contrôles d'archive (compte connecté uniquement)
+function updateArchiveControls() {
+  const disabled = !currentAccount;
+  if (archiveCompletedBtn) {
+    archiveCompletedBtn.disabled = disabled || !tasks.some(task => task.completed && !task.archivedAt);
+  }
+  if (autoArchiveInput) {
+    autoArchiveInput.disabled = disabled;
+    if (document.activeElement !== autoArchiveInput) autoArchiveInput.value = String(settings.autoArchiveDays);
+  }
+}
+
+// Masque (ou non) les tâches reportées hors de la liste "Upcoming"; réglage du compte
+function setHideDeferred(hidden) {
+  if (!currentAccount) return;
+  settings = { ...settings, hideDeferred: Boolean(hidden) };
+  saveSettings();
+  render();
+}
+
+// Supprime définitivement les tâches restées plus longtemps que la durée de conservation
+function purgeTrash(now = Date.now()) {
+  if (!currentAccount) return 0;
+  const kept = purgeExpiredTrash(trash, settings.trashRetentionDays, now);
+  const purged = trash.length - kept.length;
+  if (purged > 0) {
+    trash = kept;
+    saveTrash();
+  }
+  return purged;
+}
+
+// Remet une tâche de la corbeille dans la liste
+function restoreFromTrash(id) {
+  if (!currentAccount) return;
+  const item = trash.find(entry => entry.id === id);
+  if (!item) return;
+  trash = trash.filter(entry => entry.id !== id);
+  if (!findTask(id)) {
+    const { deletedAt, ...task } = item;
+    tasks = [{ ...task, updatedAt: new Date().toISOString() }, ...tasks];
+    saveTasks();
+  }
+  saveTrash();
+  setAuthMessage(`Restored "${item.title}".`);
+  updateTrashMenuButton();
+  renderTrash();
+  render();
+}
+
+// Supprime définitivement une tâche de la corbeille
+function deleteFromTrash(id) {
+  if (!currentAccount) return;
+  const item = trash.find(entry => entry.id === id);
+  if (!item) return;
+  if (!window.confirm(`Supprimer définitivement « ${item.title} » ?`)) return;
+  trash = trash.filter(entry => entry.id !== id);
+  saveTrash();
+  updateTrashMenuButton();
+  renderTrash();
+}
+
+function emptyTrash() {
+  if (!currentAccount || trash.length === 0) return;
+  if (!window.confirm(`Vider la corbeille (${trash.length} tâche(s)) ? Cette action est définitive.`)) return;
+  trash = [];
+  saveTrash();
+  updateTrashMenuButton();
+  renderTrash();
+  retryStorageWrites();
+}
+
+// Supprime définitivement les tâches archivées du compte (place libérée quand le stockage est plein)
+function purgeArchivedTasks() {
+  if (!currentAccount) return;
+  const count = tasks.filter(task => task.archivedAt).length;
+  if (count === 0) return;
+  if (!window.confirm(`Supprimer définitivement ${count} tâche(s) archivée(s) ? Cette action est définitive.`)) return;
+  tasks = tasks.filter(task => !task.archivedAt);
+  saveTasks();
+  setAuthMessage(`${count} tâche(s) archivée(s) supprimée(s).`);
+  render();
+  retryStorageWrites();
+}
+
+// Efface l'historique annuler/rétablir du compte (souvent ce qui prend le plus de place)
+function clearHistory() {
+  if (!currentAccount) return;
+  const count = history.undo.length + history.redo.length;
+  if (count === 0) return;
+  if (!window.confirm(`Effacer l'historique (${count} action(s)) ? Les actions passées ne pourront plus être annulées.`)) return;
+  history = { undo: [], redo: [] };
+  saveHistory();
+  updateHistoryButtons();
+  setAuthMessage('Historique effacé.');
+  retryStorageWrites();
+}
+
+// Écriture refusée (quota dépassé...): l'alerte reste affichée jusqu'à une nouvelle tentative réussie
+function reportStorageError(error, key) {
+  console.warn(`Failed to save ${key}`, error);
+  storageFailure = { error, key };
+  checkStorageHealth();
+}
+
+// Réécrit les données du compte après avoir libéré de la place; l'alerte reste si une écriture échoue encore
+function retryStorageWrites() {
+  if (!storageFailure) return;
+  storageFailure = null;
+  saveUsers(loadUsers());
+  if (currentAccount) {
+    saveTasks();
+    saveViews();
+    saveHistory();
+    saveTrash();
+    saveSettings();
+    saveBoardColumns();
+  }
+  checkStorageHealth();
+}
+
+function scheduleStorageCheck() {
+  window.clearTimeout(storageCheckTimer);
+  storageCheckTimer = window.setTimeout(() => checkStorageHealth(), STORAGE_CHECK_DELAY_MS);
+}
+
+// Mesure l'espace utilisé par compte et affiche (ou retire) l'alerte de stockage
+async function checkStorageHealth() {
+  window.clearTimeout(storageCheckTimer);
+  storageCheckTimer = null;
+  try {
+    const usage = getUsageByAccount(store.measure());
+    const quota = await getStorageQuota();
+    renderStorageWarning(usage, quota);
+  } catch (error) {
+    // Appelée sans attendre le résultat (minuterie, échec d'écriture): l'erreur s'arrête ici
+    console.warn('Failed to check the storage usage', error);
+  }
+}
+
+// Quota connu: estimation pour localStorage, navigator.storage pour IndexedDB (null si indisponible)
+async function getStorageQuota() {
+  if (store.kind === 'localStorage') return LOCAL_STORAGE_QUOTA;
+  const storageManager = window.navigator.storage;
+  if (!storageManager || typeof storageManager.estimate !== 'function') return null;
+  try {
+    const estimate = await storageManager.estimate();
+    return estimate.quota || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function renderStorageWarning(usage, quota) {
+  if (!storageWarning) return;
+  const nearlyFull = isNearlyFull(usage.total, quota);
+  storageWarning.hidden = !storageFailure && !nearlyFull;
+  if (storageWarning.hidden) return;
+
+  if (storageWarningMessage) {
+    const used = quota ? `${formatBytes(usage.total)} sur environ ${formatBytes(quota)}` : formatBytes(usage.total);
+    if (storageFailure && isQuotaError(storageFailure.error)) {
+      storageWarningMessage.textContent = `Stockage plein (${used}) : les dernières modifications restent affichées mais ne sont pas enregistrées. Exportez une sauvegarde, puis libérez de la place.`;
+    } else if (storageFailure) {
+      storageWarningMessage.textContent = `Enregistrement impossible (${storageFailure.error.message || storageFailure.error}) : les dernières modifications restent affichées mais ne sont pas enregistrées. Exportez une sauvegarde.`;
+    } else {
+      storageWarningMessage.textContent = `Stockage presque plein (${used}). Libérez de la place pour que les prochaines modifications puissent être enregistrées.`;
+    }
+  }
+
+  if (storageUsageList) {
+    const users = loadUsers();
+    storageUsageList.innerHTML = '';
+    const rows = Object.entries(usage.byAccount)
+      .sort((a, b) => b[1] - a[1])
+      .map(([accountId, bytes]) => {
+        const record = users[accountId];
+        const name = record && record.displayName ? record.displayName : accountId;
+        return `${name}${isCurrentAccount(accountId) ? ' (compte connecté)' : ''} : ${formatBytes(bytes)}`;
+      });
+    if (usage.shared > 0) rows.push(`Données communes : ${formatBytes(usage.shared)}`);
+    rows.forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      storageUsageList.appendChild(item);
+    });
+  }
+
+  // Place à libérer dans le compte connecté: corbeille, historique et tâches archivées
+  const archivedCount = currentAccount ? tasks.filter(task => task.archivedAt).length : 0;
+  const trashCount = currentAccount ? trash.length : 0;
+  const historyCount = currentAccount ? history.undo.length + history.redo.length : 0;
+  if (storageEmptyTrashBtn) {
+    storageEmptyTrashBtn.hidden = trashCount === 0;
+    storageEmptyTrashBtn.textContent = `Vider la corbeille (${trashCount})`;
+  }
+  if (storagePurgeArchivedBtn) {
+    storagePurgeArchivedBtn.hidden = archivedCount === 0;
+    storagePurgeArchivedBtn.textContent = `Supprimer les tâches archivées (${archivedCount})`;
+  }
+  if (storageClearHistoryBtn) {
+    storageClearHistoryBtn.hidden = historyCount === 0;
+    storageClearHistoryBtn.textContent = `Effacer l'historique (${historyCount} action(s))`;
+  }
+  if (storageWarningHint) storageWarningHint.hidden = trashCount === 0 && archivedCount === 0 && historyCount === 0;
+}
+
+// Change la durée de conservation (jours) et purge immédiatement si besoin
+function setTrashRetentionDays(value) {
+  if (!currentAccount) return;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > 3650) {
+    if (trashRetentionInput) trashRetentionInput.value = String(settings.trashRetentionDays);
+    return;
+  }
+  settings = { ...settings, trashRetentionDays: days };
+  saveSettings();
+  purgeTrash();
+  updateTrashMenuButton();
+  renderTrash();
+}
+
+// Libellé du menu avec le nombre de tâches dans la corbeille
+function updateTrashMenuButton() {
+  if (!menuTrashBtn) return;
+  menuTrashBtn.disabled = !currentAccount;
+  menuTrashBtn.textContent = trash.length > 0 ? `Corbeille (${trash.length})` : 'Corbeille';
+}
+
+// Affiche le contenu de la corbeille dans le panneau
+function renderTrash() {
+  if (!trashList) return;
+  if (trashRetentionInput) trashRetentionInput.value = String(settings.trashRetentionDays);
+  if (trashEmptyBtn) trashEmptyBtn.disabled = trash.length === 0;
+  if (trashSummary) {
+    const retention = settings.trashRetentionDays === 0
+      ? 'Deleted tasks are kept until you remove them.'
+      : `Deleted tasks are removed permanently after ${settings.trashRetentionDays} day(s).`;
+    trashSummary.textContent = trash.length === 0 ? `Trash is empty. ${retention}` : `${trash.length} task(s). ${retention}`;
+  }
+  trashList.innerHTML = trash.map(item => {
+    const id = escapeHtml(item.id);
+    const title = escapeHtml(item.title);
+    const deleted = new Date(item.deletedAt).toLocaleString();
+    return `<li class="trash-item" data-id="${id}">`
+      + `<span class="trash-title">${title}</span>`
+      + `<span class="trash-meta">Deleted ${escapeHtml(deleted)}</span>`
+      + `<span class="trash-actions"><button type="button" data-restore="${id}">Restore</button>`
+      + `<button type="button" class="danger" data-purge="${id}" aria-label="Delete ${title} permanently">Delete forever</button></span>`
+      + '</li>';
+  }).join('');
+}
+
+function openTrashDialog() {
+  if (!currentAccount || !trashDialog) return;
+  purgeTrash();
+  updateTrashMenuButton();
+  renderTrash();
+  if (typeof trashDialog.showModal === 'function') {
+    trashDialog.showModal();
+  } else {
+    trashDialog.setAttribute('open', '');
+  }
+}
+
+function closeTrashDialog() {
+  if (!trashDialog) return;
+  if (typeof trashDialog.close === 'function') {
+    trashDialog.close();
+  } else {
+    trashDialog.removeAttribute('open');
+  }
+  if (menuButton) menuButton.focus();
+}
+
+// Déclenche les rappels arrivés à échéance: état "sonné", notification du navigateur, centre à jour
+function checkReminders(now = Date.now()) {
+  if (!currentAccount) return 0;
+  const due = getDueReminders(tasks, now);
+  if (due.length === 0) return 0;
+  const dueIds = new Set(due.map(task => task.id));
+  // Pas d'entrée d'historique: sonner n'est pas une modification de la tâche
+  // Daté comme une modification: un autre onglet ne fait pas sonner le rappel une seconde fois
+  const stamp = new Date(now).toISOString();
+  tasks = tasks.map(task => (dueIds.has(task.id) ? { ...task, reminder: markReminderFired(task.reminder, now), updatedAt: stamp } : task));
+  saveTasks();
+  due.forEach(showReminderNotification);
+  updateNotificationsButton();
+  renderNotifications(now);
+  return due.length;
+}
+
+// Notification système (si autorisée); un clic ramène sur le centre de notifications
+function showReminderNotification(task) {
+  if (!('Notification' in window) || window.Notification.permission !== 'granted') return;
+  try {
+    const notification = new window.Notification(task.title, {
+      body: describeReminderTask(task),
+      tag: `todo-reminder-${task.id}`,
+    });
+    notification.addEventListener('click', () => {
+      window.focus();
+      notification.close();
+      openNotificationsDialog();
+    });
+  } catch (error) {
+    // Certains navigateurs (mobiles) n'acceptent les notifications que via un service worker
+    console.warn('Unable to show notification', error);
+  }
+}
+
+async function requestNotificationPermission() {
+  if (!('Notification' in window)) return;
+  try {
+    await window.Notification.requestPermission();
+  } catch (error) {
+    console.warn('Notification permission request failed', error);
+  }
+  updateNotificationPermission();
+}
+
+// Texte d'état des notifications du navigateur (et bouton d'activation si la question n'a pas été posée)
+function updateNotificationPermission() {
+  const permission = 'Notification' in window ? window.Notification.permission : 'unsupported';
+  if (notificationsEnableBtn) notificationsEnableBtn.hidden = permission !== 'default';
+  if (!notificationsPermission) return;
+  const messages = {
+    granted: 'Browser notifications are on while this page is open.',
+    denied: 'Browser notifications are blocked: reminders only appear here.',
+    default: 'Reminders appear here. Enable browser notifications to be alerted while this page is open.',
+    unsupported: 'This browser does not support notifications: reminders only appear here.',
+  };
+  notificationsPermission.textContent = messages[permission] || messages.unsupported;
+}
+
+// Échéance lisible d'une tâche à rappel (ex: "Due Mar 19 14:00")
+function describeReminderTask(task) {
+  if (!task.dueAt) return 'Reminder';
+  return `Due ${formatISODate(task.dueAt)}${task.startTime ? ` ${task.startTime}` : ''}`;
+}
+
+function formatReminderTime(time) {
+  return new Date(time).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// Libellé du bouton d'en-tête avec le nombre de rappels sonnés non retirés
+function updateNotificationsButton() {
+  if (!notificationsBtn) return;
+  notificationsBtn.hidden = !currentAccount;
+  const count = currentAccount ? getFiredReminders(tasks).length : 0;
+  notificationsBtn.textContent = count > 0 ? `Reminders (${count})` : 'Reminders';
+  notificationsBtn.classList.toggle('has-notifications', count > 0);
+}
+
+// Affiche les rappels sonnés (avec report / retrait) et les prochains rappels
+function renderNotifications(now = Date.now()) {
+  if (!notificationsFiredList || !notificationsUpcomingList) return;
+  updateNotificationPermission();
+  const fired = getFiredReminders(tasks);
+  const upcoming = getUpcomingReminders(tasks, now).slice(0, MAX_UPCOMING_REMINDERS);
+  notificationsFiredList.innerHTML = fired.length === 0
+    ? '<li class="notifications-empty">Nothing to follow up.</li>'
+    : fired.map(task => {
+      const id = escapeHtml(task.id);
+      const title = escapeHtml(task.title);
+      const snoozeButtons = SNOOZE_OPTIONS.map(option => `<button type="button" data-snooze="${id}" data-minutes="${option.minutes}"`
+        + ` aria-label="Snooze ${title} for ${option.title}">${option.label}</button>`).join('');
+      return `<li class="trash-item" data-id="${id}">`
+        + `<span class="trash-title">${title}</span>`
+        + `<span class="trash-meta">${escapeHtml(describeReminderTask(task))} • Reminded ${escapeHtml(formatReminderTime(Date.parse(task.reminder.firedAt)))}</span>`
+        + `<span class="trash-actions">${snoozeButtons}`
+        + `<button type="button" data-open="${id}">Open</button>`
+        + `<button type="button" data-dismiss="${id}" aria-label="Dismiss reminder for ${title}">Dismiss</button></span>`
+        + '</li>';
+    }).join('');
+  notificationsUpcomingList.innerHTML = upcoming.length === 0
+    ? '<li class="notifications-empty">No upcoming reminders.</li>'
+    : upcoming.map(task => {
+      const id = escapeHtml(task.id);
+      const when = formatReminderTime(getReminderTime(task));
+      let label = task.reminder.at ? when : `${when} (${formatReminder(task.reminder)})`;
+      if (task.reminder.snoozedUntil) label = `Snoozed until ${when}`;
+      return `<li class="trash-item" data-id="${id}">`
+        + `<span class="trash-title">${escapeHtml(task.title)}</span>`
+        + `<span class="trash-meta">${escapeHtml(label)}</span>`
+        + `<span class="trash-actions"><button type="button" data-open="${id}">Open</button></span>`
+        + '</li>';
+    }).join('');
+}
+
+// Remplace l'état du rappel d'une tâche (report, retrait) sans toucher à l'échéance ni à l'historique
+function updateTaskReminder(id, reminder) {
+  if (!currentAccount) return;
+  tasks = tasks.map(task => (task.id === id ? { ...task, reminder, updatedAt: new Date().toISOString() } : task));
   saveTasks();
+  renderNotifications();
   render();
+  // Le bouton cliqué a disparu de la liste: focus sur le rappel suivant, sinon sur "Close"
+  const nextBtn = notificationsFiredList ? notificationsFiredList.querySelector('button') : null;
+  if (nextBtn) nextBtn.focus();
+  else if (notificationsCloseBtn) notificationsCloseBtn.focus();
+}
+
+function snoozeTaskReminder(id, minutes) {
+  const task = findTask(id);
+  if (!task || !task.reminder || !Number.isInteger(minutes) || minutes <= 0) return;
+  updateTaskReminder(id, snoozeReminder(task.reminder, minutes));
+}
+
+function dismissTaskReminder(id) {
+  const task = findTask(id);
+  if (!task || !task.reminder) return;
+  updateTaskReminder(id, dismissReminder(task.reminder));
+}
+
+function openNotificationsDialog() {
+  if (!currentAccount || !notificationsDialog) return;
+  checkReminders();
+  renderNotifications();
+  if (notificationsDialog.open) return;
+  if (typeof notificationsDialog.showModal === 'function') {
+    notificationsDialog.showModal();
+  } else {
+    notificationsDialog.setAttribute('open', '');
+  }
+}
+
+function closeNotificationsDialog() {
+  if (!notificationsDialog) return;
+  if (typeof notificationsDialog.close === 'function') {
+    notificationsDialog.close();
+  } else {
+    notificationsDialog.removeAttribute('open');
+  }
+  if (notificationsBtn && !notificationsBtn.hidden) notificationsBtn.focus();
+}
+
+// Enregistre l'état d'affichage courant sous un nom (remplace une vue du même nom)
+function saveCurrentView() {
+  if (!currentAccount) return;
+  const answer = window.prompt('Nom de la vue :');
+  const name = answer ? answer.trim() : '';
+  if (!name) return;
+
+  const existing = savedViews.find(view => view.name.toLowerCase() === name.toLowerCase());
+  if (existing && !window.confirm(`Remplacer la vue "${existing.name}" ?`)) return;
+
+  const view = normalizeView({
+    id: existing ? existing.id : createId(),
+    name,
+    filter: currentFilter,
+    sort: currentSort,
+    agendaScope,
+    agendaDate,
+    search: searchQuery,
+    project: currentProject,
+    tags: selectedTags,
+    tagMatch: tagMatchMode,
+  });
+  savedViews = existing
+    ? savedViews.map(item => (item.id === existing.id ? view : item))
+    : [...savedViews, view];
+  saveViews();
+  updateMenuState();
+  setAuthMessage(`Vue "${name}" enregistrée.`);
+}
+
+// Restaure filtre, tri, agenda, recherche et filtres projet/tags d'une vue
+function applySavedView(viewId) {
+  const view = savedViews.find(item => item.id === viewId);
+  if (!view) return;
+  currentFilter = view.filter;
+  currentSort = view.sort;
+  if (sortSelect) {
+    sortSelect.value = view.sort;
+    // Tri inconnu (option retirée): revenir au tri par défaut
+    if (sortSelect.value !== view.sort) {
+      sortSelect.value = defaultSortValue;
+      currentSort = defaultSortValue;
+    }
+  }
+  agendaScope = view.agendaScope;
+  // Une vue sans date d'agenda suit la date du jour
+  agendaDate = view.agendaDate || todayISO();
+  searchQuery = view.search;
+  if (searchInput) searchInput.value = view.search;
+  currentProject = view.project;
+  selectedTags = [...view.tags];
+  tagMatchMode = view.tagMatch;
+  updateAgendaControls();
+  syncAgendaToForm();
+  updateFilterButtons();
+  render();
+}
+
+function deleteSavedView(viewId) {
+  if (!currentAccount) return;
+  const view = savedViews.find(item => item.id === viewId);
+  if (!view) return;
+  if (!window.confirm(`Supprimer la vue "${view.name}" ?`)) return;
+  savedViews = savedViews.filter(item => item.id !== viewId);
+  saveViews();
+  updateMenuState();
 }
 
 // Recherche une tâche par identifiant
 function findTask(id) {
-  return tasks.find(task => task.id === id);
+  return findTaskIn(tasks, id);
+}
+
+function findTaskIn(listToSearch, id) {
+  return listToSearch.find(task => task.id === id);
+}
+
+// Ajoute un élément en fin de checklist
+function addSubtask(taskId, title) {
+  const task = findTask(taskId);
+  if (!task) return;
+  expandedSubtasks.add(taskId);
+  updateTask(taskId, { subtasks: [...task.subtasks, { id: createId(), title, done: false }] });
+}
+
+// Modifie un élément de checklist (ex: { done: true })
+function updateSubtask(taskId, subtaskId, nextFields) {
+  const task = findTask(taskId);
+  if (!task) return;
+  const subtasks = task.subtasks.map(item => (item.id === subtaskId ? { ...item, ...nextFields } : item));
+  updateTask(taskId, { subtasks });
+}
+
+// Déplace un élément de checklist d'un cran (delta = -1 vers le haut, +1 vers le bas)
+function moveSubtask(taskId, subtaskId, delta) {
+  const task = findTask(taskId);
+  if (!task) return;
+  const index = task.subtasks.findIndex(item => item.id === subtaskId);
+  const target = index + delta;
+  if (index < 0 || target < 0 || target >= task.subtasks.length) return;
+  const subtasks = [...task.subtasks];
+  [subtasks[index], subtasks[target]] = [subtasks[target], subtasks[index]];
+  updateTask(taskId, { subtasks });
+}
+
+// Supprime un élément de checklist
+function deleteSubtask(taskId, subtaskId) {
+  const task = findTask(taskId);
+  if (!task) return;
+  updateTask(taskId, { subtasks: task.subtasks.filter(item => item.id !== subtaskId) });
+}
+
+// Ouvre le panneau de détail pré-rempli avec tous les champs de la tâche
+function openTaskDialog(id) {
+  if (!currentAccount || !taskDialog || !taskDialogForm) return;
+  const task = findTask(id);
+  if (!task) return;
+
+  const field = name => taskDialogForm.querySelector(`[name="${name}"]`);
+  taskDialogForm.dataset.taskId = id;
+  field('title').value = task.title;
+  field('description').value = task.description || '';
+  field('dueAt').value = task.dueAt || '';
+  field('deferUntil').value = task.deferUntil || '';
+  field('priority').value = task.priority || '';
+  field('color').value = task.color || '#2684ff';
+  field('noColor').checked = !task.color;
+  field('project').value = task.project || '';
+  field('tags').value = task.tags.join(', ');
+  field('startTime').value = task.startTime || '';
+  field('duration').value = task.duration ? String(task.duration) : '';
+  writeRecurrenceFields(detailRecurrenceFieldset, task.recurrence);
+  writeReminderFields(task.reminder);
+  setTaskDialogError('');
+
+  if (typeof taskDialog.showModal === 'function') {
+    taskDialog.showModal();
+  } else {
+    taskDialog.setAttribute('open', '');
+  }
+  window.requestAnimationFrame(() => {
+    field('title').focus();
+  });
+}
+
+function closeTaskDialog() {
+  if (!taskDialog || !taskDialogForm) return;
+  const id = taskDialogForm.dataset.taskId;
+  delete taskDialogForm.dataset.taskId;
+  if (typeof taskDialog.close === 'function') {
+    taskDialog.close();
+  } else {
+    taskDialog.removeAttribute('open');
+  }
+  // Rendre le focus au bouton qui a ouvert le panneau
+  const detailsBtn = id ? list.querySelector(`.task[data-id="${id}"] .task-details`) : null;
+  if (detailsBtn) detailsBtn.focus();
+}
+
+function setTaskDialogError(message) {
+  if (!taskDialogError) return;
+  taskDialogError.textContent = message;
+  taskDialogError.hidden = !message;
+}
+
+// Valide le panneau avec les normaliseurs existants puis applique les champs modifiés
+function saveTaskDialog() {
+  if (!taskDialogForm) return;
+  const id = taskDialogForm.dataset.taskId;
+  const task = id ? findTask(id) : null;
+  if (!currentAccount || !task) {
+    closeTaskDialog();
+    return;
+  }
+
+  const field = name => taskDialogForm.querySelector(`[name="${name}"]`);
+  const title = field('title').value.trim();
+  if (!title) {
+    setTaskDialogError('Title is required.');
+    field('title').focus();
+    return;
+  }
+  const rawDue = field('dueAt').value;
+  const dueAt = normalizeDate(rawDue);
+  if (rawDue && !dueAt) {
+    setTaskDialogError('Due date is not a valid date.');
+    field('dueAt').focus();
+    return;
+  }
+  const rawDefer = field('deferUntil').value;
+  const deferUntil = normalizeDate(rawDefer);
+  if (rawDefer && !deferUntil) {
+    setTaskDialogError('Defer date is not a valid date.');
+    field('deferUntil').focus();
+    return;
+  }
+  if (deferUntil && dueAt && deferUntil > dueAt) {
+    setTaskDialogError('Defer date must be on or before the due date.');
+    field('deferUntil').focus();
+    return;
+  }
+  const rawPriority = field('priority').value;
+  const priority = normalizePriority(rawPriority);
+  if (rawPriority && !priority) {
+    setTaskDialogError('Priority must be low, medium or high.');
+    field('priority').focus();
+    return;
+  }
+  // Le champ couleur ne peut pas être vide: "No color" retire la couleur
+  const color = field('noColor').checked ? undefined : normalizeColor(field('color').value);
+  if (!field('noColor').checked && !color) {
+    setTaskDialogError('Color must be a #rrggbb value.');
+    field('color').focus();
+    return;
+  }
+  const rawStart = field('startTime').value;
+  const startTime = normalizeTime(rawStart);
+  if (rawStart && !startTime) {
+    setTaskDialogError('Start time must be a valid HH:MM time.');
+    field('startTime').focus();
+    return;
+  }
+  const rawDuration = field('duration').value;
+  const duration = normalizeDuration(rawDuration);
+  if (rawDuration && !duration) {
+    setTaskDialogError('Duration must be a whole number of minutes between 5 and 1440.');
+    field('duration').focus();
+    return;
+  }
+  const recurrence = readRecurrenceFields(detailRecurrenceFieldset);
+  if (recurrence && !dueAt) {
+    setTaskDialogError('A repeating task needs a due date.');
+    field('dueAt').focus();
+    return;
+  }
+  const reminderMode = field('reminderMode').value;
+  let reminder;
+  if (reminderMode === 'at') {
+    const at = normalizeReminderAt(field('reminderAt').value);
+    if (!at) {
+      setTaskDialogError('Reminder needs a valid date and time.');
+      field('reminderAt').focus();
+      return;
+    }
+    reminder = { at };
+  } else if (reminderMode === 'before') {
+    const before = toBeforeMinutes(field('reminderAmount').value, field('reminderUnit').value);
+    if (before === undefined) {
+      setTaskDialogError('Reminder offset must be a whole number, up to 365 days.');
+      field('reminderAmount').focus();
+      return;
+    }
+    if (!dueAt) {
+      setTaskDialogError('A reminder before the due date needs a due date.');
+      field('dueAt').focus();
+      return;
+    }
+    reminder = { before };
+  }
+  // Règle inchangée: conserver l'état (déclenché, reporté) du rappel existant
+  // (updateTask le remet à zéro si l'échéance ou l'heure change)
+  const sameReminder = JSON.stringify(reminder) === JSON.stringify(resetReminder(task.reminder));
+
+  const next = {
+    title,
+    description: normalizeDescription(field('description').value),
+    dueAt,
+    deferUntil,
+    priority,
+    color,
+    project: normalizeProject(field('project').value),
+    tags: normalizeTags(field('tags').value),
+    startTime,
+    duration: startTime ? duration : undefined,
+    recurrence,
+    reminder: sameReminder ? task.reminder : reminder,
+    // Une tâche qui devient récurrente démarre une nouvelle série
+    occurrence: recurrence ? task.occurrence || 1 : undefined,
+    seriesId: recurrence ? task.seriesId || task.id : undefined,
+  };
+  // Ne transmettre que les champs réellement modifiés (comparaison par valeur)
+  const changed = {};
+  Object.entries(next).forEach(([key, value]) => {
+    if (JSON.stringify(value) !== JSON.stringify(task[key])) changed[key] = value;
+  });
+
+  closeTaskDialog();
+  if (Object.keys(changed).length > 0) {
+    pendingFocus = { type: 'task', id, selector: '.task-details' };
+    updateTask(id, changed);
+  }
 }
 
 // Edition inline du titre d'une tâche dans la liste
@@ -1279,6 +4716,28 @@ function startEdit(id, listItem) {
   colorField.setAttribute('aria-label', 'Task color');
   colorField.title = 'Task color';
 
+  const projectField = document.createElement('input');
+  projectField.type = 'text';
+  projectField.className = 'inline-project';
+  projectField.value = task.project || '';
+  projectField.placeholder = 'Project';
+  projectField.setAttribute('list', 'project-options');
+  projectField.setAttribute('aria-label', 'Task project');
+
+  const descriptionField = document.createElement('textarea');
+  descriptionField.className = 'inline-description';
+  descriptionField.rows = 3;
+  descriptionField.value = task.description || '';
+  descriptionField.placeholder = 'Description (Markdown)';
+  descriptionField.setAttribute('aria-label', 'Task description (Markdown)');
+
+  const tagsField = document.createElement('input');
+  tagsField.type = 'text';
+  tagsField.className = 'inline-tags';
+  tagsField.value = task.tags.join(', ');
+  tagsField.placeholder = 'Tags';
+  tagsField.setAttribute('aria-label', 'Task tags (comma separated)');
+
   const save = document.createElement('button');
   save.type = 'submit';
   save.className = 'save';
@@ -1289,7 +4748,7 @@ function startEdit(id, listItem) {
   cancel.className = 'cancel';
   cancel.textContent = 'Cancel';
 
-  inlineForm.append(label, field, colorField, save, cancel);
+  inlineForm.append(label, field, projectField, tagsField, colorField, save, cancel, descriptionField);
   listItem.appendChild(inlineForm);
 
   const cleanup = () => {
@@ -1315,17 +4774,28 @@ function startEdit(id, listItem) {
       return;
     }
     const nextColor = normalizeColor(colorField.value);
+    const nextProject = normalizeProject(projectField.value);
+    const nextTags = normalizeTags(tagsField.value);
+    const nextDescription = normalizeDescription(descriptionField.value);
+    const tagsChanged = nextTags.join(',') !== task.tags.join(',');
     cleanup();
-    if (nextTitle !== task.title || nextColor !== task.color) {
+    if (nextTitle !== task.title || nextColor !== task.color || nextProject !== task.project || tagsChanged
+      || nextDescription !== task.description) {
       pendingFocus = { type: 'task', id, selector: '.task-edit' };
-      updateTask(id, { title: nextTitle, color: nextColor });
+      updateTask(id, {
+        title: nextTitle,
+        color: nextColor,
+        project: nextProject,
+        tags: tagsChanged ? nextTags : task.tags,
+        description: nextDescription,
+      });
     } else {
       const editBtn = list.querySelector(`.task[data-id="${id}"] .task-edit`);
       if (editBtn) editBtn.focus();
     }
   });
 
-  field.addEventListener('keydown', event => {
+  inlineForm.addEventListener('keydown', event => {
     if (event.key === 'Escape') {
       event.preventDefault();
       cancel.click();
@@ -0,0 +1,115 @@
+/*
+  crypto-store.js — Chiffrement des données d'un compte (tâches, corbeille, historique)
+  - Clé AES-GCM 256 bits dérivée du mot de passe (PBKDF2-SHA-256, sel aléatoire propre au compte)
+  - La clé n'est jamais enregistrée (non exportable, en mémoire le temps de la session):
+    les données d'un compte chiffré restent illisibles tant qu'on ne s'y est pas connecté
+  - Coffre enregistré: { format, iv, data } en base64, nouvel IV à chaque chiffrement
+  - Mauvais mot de passe ou coffre modifié: VaultError
+  - Pas d'empreinte du mot de passe: il est vérifié en déchiffrant une valeur témoin
+    (createKeyCheck, enregistrée avec les réglages) ou le coffre (AES-GCM refuse une autre clé)
+*/
+
+export const VAULT_FORMAT = 1;
+// Recommandation OWASP pour PBKDF2-HMAC-SHA256
+export const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export class VaultError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VaultError';
+  }
+}
+
+// Vrai si le navigateur sait dériver une clé et chiffrer (WebCrypto)
+export function isEncryptionSupported(crypto = globalThis.crypto) {
+  return Boolean(crypto && crypto.subtle && typeof crypto.getRandomValues === 'function');
+}
+
+// Réglages de chiffrement d'un nouveau compte chiffré (enregistrés avec le compte)
+export function createEncryptionSettings({ crypto = globalThis.crypto, iterations = PBKDF2_ITERATIONS } = {}) {
+  return { salt: toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES))), iterations };
+}
+
+// Clé AES-GCM du compte, dérivée du mot de passe et de ses réglages { salt, iterations }
+export async function deriveVaultKey(password, settings, crypto = globalThis.crypto) {
+  if (!settings || typeof settings.salt !== 'string' || !(settings.iterations > 0)) {
+    throw new VaultError('Invalid encryption settings.');
+  }
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(settings.salt), iterations: settings.iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+// Chiffre une valeur JSON
+export async function encryptVault(key, value, crypto = globalThis.crypto) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const plain = new TextEncoder().encode(JSON.stringify(value));
+  const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain);
+  return { format: VAULT_FORMAT, iv: toBase64(iv), data: toBase64(new Uint8Array(cipher)) };
+}
+
+// Déchiffre un coffre (lève VaultError si la clé ne correspond pas ou si les données ont été modifiées)
+export async function decryptVault(key, payload, crypto = globalThis.crypto) {
+  if (!isVaultPayload(payload)) throw new VaultError('Invalid encrypted data.');
+  if (payload.format > VAULT_FORMAT) throw new VaultError('The encrypted data was saved by a newer version of the app.');
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.data));
+  } catch (error) {
+    throw new VaultError('Unable to decrypt the tasks of this account.');
+  }
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// Valeur témoin chiffrée avec la clé du compte (vérifie le mot de passe même sans coffre enregistré)
+export function createKeyCheck(key, crypto = globalThis.crypto) {
+  return encryptVault(key, { check: true }, crypto);
+}
+
+// Vrai si la clé déchiffre ce coffre ou cette valeur témoin (faux: mauvais mot de passe)
+export async function isVaultKey(key, payload, crypto = globalThis.crypto) {
+  if (!isVaultPayload(payload)) throw new VaultError('Invalid encrypted data.');
+  const iv = fromBase64(payload.iv);
+  const data = fromBase64(payload.data);
+  try {
+    await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function isVaultPayload(value) {
+  return Boolean(value) && typeof value === 'object'
+    && Number.isInteger(value.format)
+    && typeof value.iv === 'string'
+    && typeof value.data === 'string';
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  // Par morceaux: String.fromCharCode(...) est limité en nombre d'arguments
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(index, index + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  let binary;
+  try {
+    binary = atob(text);
+  } catch (error) {
+    throw new VaultError('Invalid encrypted data.');
+  }
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) bytes[index] = binary.charCodeAt(index);
+  return bytes;
+}
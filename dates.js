@@ -0,0 +1,120 @@
+/*
+  dates.js — Dates "calendrier" locales (yyyy-mm-dd) utilisées partout dans l'application
+  - Une échéance est un jour du calendrier local, jamais un instant UTC:
+    on ne passe ni par toISOString() ni par new Date("yyyy-mm-dd") (minuit UTC)
+  - Les dates ISO sont comparées comme des chaînes (l'ordre lexicographique suffit)
+  - Les horodatages complets (createdAt, import avec fuseau) sont ramenés au jour local
+  - Les calculs de jours passent par new Date(année, mois, jour): pas de décalage
+    lié aux changements d'heure (y compris quand minuit n'existe pas ce jour-là)
+*/
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Date et heure sans fuseau (ex: "2026-03-19T23:30"): heure murale locale, on garde le jour tel quel
+const LOCAL_DATE_TIME = /^(\d{4}-\d{2}-\d{2})[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+// Vrai si la chaîne est une date yyyy-mm-dd qui existe (pas de 30 février)
+export function isISODate(value) {
+  return parseISODate(value) !== undefined;
+}
+
+// yyyy-mm-dd → Date à minuit local (undefined si invalide)
+export function parseISODate(iso) {
+  if (typeof iso !== 'string') return undefined;
+  const match = iso.match(ISO_DATE);
+  if (!match) return undefined;
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  const day = Number(match[3]);
+  const date = new Date(year, month, day);
+  // new Date(année < 100, ...) vise 19xx: on force l'année exacte
+  date.setFullYear(year, month, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) return undefined;
+  return date;
+}
+
+// Date → yyyy-mm-dd selon le calendrier local
+export function toISODate(date) {
+  const pad = (n, size = 2) => String(n).padStart(size, '0');
+  return `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Date du jour (locale); now permet de fixer l'instant de référence
+export function todayISO(now = new Date()) {
+  return toISODate(now);
+}
+
+// Normalise une saisie (champ date, import JSON, vue enregistrée) vers yyyy-mm-dd ou undefined
+export function normalizeDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? undefined : toISODate(value);
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? normalizeDate(new Date(value)) : undefined;
+  }
+  if (typeof value !== 'string') return undefined;
+  const text = value.trim();
+  if (!text) return undefined;
+  if (ISO_DATE.test(text)) return isISODate(text) ? text : undefined;
+  const localDateTime = text.match(LOCAL_DATE_TIME);
+  if (localDateTime) return isISODate(localDateTime[1]) ? localDateTime[1] : undefined;
+  // Horodatage avec fuseau ("...Z", "+02:00") ou autre format reconnu: jour local de cet instant
+  return normalizeDate(new Date(text));
+}
+
+// Ajoute/soustrait des jours à une date ISO
+export function addDaysISO(iso, delta) {
+  const date = parseISODate(iso);
+  if (!date) return undefined;
+  date.setFullYear(date.getFullYear(), date.getMonth(), date.getDate() + delta);
+  return toISODate(date);
+}
+
+// Nombre de jours de fromISO à toISO (négatif si toISO est avant)
+export function daysBetweenISO(fromISO, toISO) {
+  const from = parseISODate(fromISO);
+  const to = parseISODate(toISO);
+  if (!from || !to) return undefined;
+  // Arrondi: un jour de changement d'heure dure 23 h ou 25 h
+  return Math.round((to - from) / (24 * 60 * 60 * 1000));
+}
+
+// Décale une date ISO de delta mois (le jour est ramené à la fin du mois si besoin)
+export function addMonthsISO(iso, delta) {
+  const date = parseISODate(iso);
+  if (!date) return undefined;
+  const target = new Date(date.getTime());
+  target.setFullYear(date.getFullYear(), date.getMonth() + delta, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return toISODate(target);
+}
+
+// Lundi et dimanche de la semaine contenant anchorISO
+export function getWeekRangeISO(anchorISO) {
+  const date = parseISODate(anchorISO);
+  if (!date) return undefined;
+  const day = date.getDay(); // 0=Sun, 1=Mon, ...
+  const start = addDaysISO(anchorISO, day === 0 ? -6 : 1 - day);
+  return { start, end: addDaysISO(start, 6) };
+}
+
+// Premier et dernier jour du mois contenant anchorISO
+export function getMonthRangeISO(anchorISO) {
+  const date = parseISODate(anchorISO);
+  if (!date) return undefined;
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  const prefix = anchorISO.slice(0, 8);
+  return { start: `${prefix}01`, end: `${prefix}${String(lastDay).padStart(2, '0')}` };
+}
+
+// Vrai si l'échéance est antérieure à aujourd'hui (même règle que le mot-clé overdue)
+export function isPastDue(iso, today = todayISO()) {
+  return isISODate(iso) && iso < today;
+}
+
+// Affiche une date ISO dans la langue du navigateur, sans dérive de fuseau
+export function formatISODate(iso, options = { month: 'short', day: 'numeric' }, locale = undefined) {
+  const date = parseISODate(iso);
+  if (!date) return '';
+  return new Intl.DateTimeFormat(locale, options).format(date);
+}
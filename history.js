@@ -0,0 +1,88 @@
+/*
+  history.js — Historique annuler/rétablir d'une liste de tâches
+  - Une action enregistre seulement les tâches qu'elle change: { id, before, after, beforeIndex, afterIndex }
+    (before null: tâche ajoutée; after null: tâche retirée, trashed si elle est partie dans la corbeille)
+  - Limites: MAX_HISTORY actions par pile et MAX_HISTORY_SIZE pour toute la pile (les plus anciennes partent);
+    une action plus grosse que MAX_ENTRY_SIZE (import, purge...) vide l'historique au lieu d'y entrer
+  - Taille mesurée en caractères JSON, comme l'historique est enregistré
+*/
+
+// Nombre maximal d'actions conservées dans chaque pile (annuler / rétablir)
+export const MAX_HISTORY = 50;
+export const MAX_ENTRY_SIZE = 256 * 1024;
+export const MAX_HISTORY_SIZE = 1024 * 1024;
+
+// Liste des changements par tâche entre deux versions d'une liste
+export function diffTaskLists(before, after) {
+  const beforeIndex = new Map(before.map((task, index) => [task.id, index]));
+  const afterIndex = new Map(after.map((task, index) => [task.id, index]));
+  const ids = new Set([...beforeIndex.keys(), ...afterIndex.keys()]);
+  const changes = [];
+  ids.forEach(id => {
+    const previous = beforeIndex.has(id) ? before[beforeIndex.get(id)] : null;
+    const next = afterIndex.has(id) ? after[afterIndex.get(id)] : null;
+    if (previous === next) return;
+    if (previous && next && JSON.stringify(previous) === JSON.stringify(next)) return;
+    changes.push({
+      id,
+      before: previous,
+      after: next,
+      beforeIndex: beforeIndex.has(id) ? beforeIndex.get(id) : -1,
+      afterIndex: afterIndex.has(id) ? afterIndex.get(id) : -1,
+    });
+  });
+  return changes;
+}
+
+// Remet chaque tâche concernée dans l'état "before" (annuler) ou "after" (rétablir); renvoie { tasks, trash }
+// (trash: même tableau si la corbeille ne change pas). normalize(tâche): tâche à réinsérer ou null
+export function applyHistoryChanges({ tasks, trash }, changes, side, { normalize = task => task, now = new Date() } = {}) {
+  const changedIds = new Set(changes.map(change => change.id));
+  const next = tasks.filter(task => !changedIds.has(task.id));
+  changes
+    .map(change => ({
+      task: side === 'before' ? change.before : change.after,
+      index: side === 'before' ? change.beforeIndex : change.afterIndex,
+    }))
+    .filter(item => item.task)
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ task, index }) => {
+      const normalized = normalize(task);
+      if (normalized) next.splice(Math.min(Math.max(index, 0), next.length), 0, normalized);
+    });
+
+  // La corbeille suit: une tâche rétablie la quitte, une suppression rejouée y retourne
+  const restoredIds = new Set(changes.filter(change => (side === 'before' ? change.before : change.after)).map(change => change.id));
+  const retrashed = side === 'after'
+    ? changes.filter(change => change.trashed && change.before).map(change => ({ ...change.before, deletedAt: now.toISOString() }))
+    : [];
+  const nextTrash = [
+    ...retrashed,
+    ...trash.filter(item => !restoredIds.has(item.id) && !retrashed.some(task => task.id === item.id)),
+  ];
+  const trashChanged = retrashed.length > 0 || nextTrash.length !== trash.length;
+  return { tasks: next, trash: trashChanged ? nextTrash : trash };
+}
+
+function getEntrySize(entry) {
+  return JSON.stringify(entry).length;
+}
+
+// Garde les actions les plus récentes d'une pile dans les limites (nombre et taille totale)
+export function limitHistoryStack(stack) {
+  const kept = [];
+  let size = 0;
+  for (let index = stack.length - 1; index >= 0 && kept.length < MAX_HISTORY; index -= 1) {
+    size += getEntrySize(stack[index]);
+    if (size > MAX_HISTORY_SIZE) break;
+    kept.unshift(stack[index]);
+  }
+  return kept;
+}
+
+// Ajoute une action à annuler (la pile "rétablir" est vidée)
+// Action trop grosse: historique vidé (annuler les actions précédentes reviendrait sur celle-ci)
+export function pushHistoryEntry(history, entry) {
+  if (getEntrySize(entry) > MAX_ENTRY_SIZE) return { undo: [], redo: [] };
+  return { undo: limitHistoryStack([...history.undo, entry]), redo: [] };
+}
@@ -0,0 +1,109 @@
+/*
+  markdown.js — Rendu Markdown minimal et sûr pour les descriptions de tâches
+  - Tout le texte passe d'abord par escapeHtml: aucune balise d'origine ne survit
+  - Syntaxe prise en charge: paragraphes, listes (- * 1.), `code`, blocs ```,
+    *italique* / _italique_, **gras**, [liens](https://...)
+  - Seuls les liens http(s) et mailto sont conservés (pas de javascript:, data:, ...)
+*/
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+// Caractère de substitution pour protéger le code inline et les adresses des liens pendant le formatage
+const PLACEHOLDER = '\u0000';
+
+// Échappe les caractères HTML spéciaux (texte → HTML inerte)
+export function escapeHtml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+// Convertit le Markdown en HTML assaini
+export function renderMarkdown(source) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let paragraph = [];
+  let listType = null;
+  let listItems = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length === 0) return;
+    html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (!listType) return;
+    html.push(`<${listType}>${listItems.map(item => `<li>${renderInline(item)}</li>`).join('')}</${listType}>`);
+    listType = null;
+    listItems = [];
+  };
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      flushList();
+      const code = [];
+      index += 1;
+      while (index < lines.length && !/^\s*```/.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    if (bullet || numbered) {
+      flushParagraph();
+      const type = bullet ? 'ul' : 'ol';
+      if (listType && listType !== type) flushList();
+      listType = type;
+      listItems.push((bullet || numbered)[1]);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+
+    flushList();
+    paragraph.push(line.trim());
+  }
+
+  flushParagraph();
+  flushList();
+  return html.join('');
+}
+
+// Formatage en ligne: code, liens, gras, italique (sur du texte déjà échappé)
+function renderInline(text) {
+  const spans = [];
+  const protect = html => {
+    spans.push(html);
+    return `${PLACEHOLDER}${spans.length - 1}${PLACEHOLDER}`;
+  };
+  let out = escapeHtml(text.replaceAll(PLACEHOLDER, ''));
+
+  out = out.replace(/`([^`]+)`/g, (match, code) => protect(`<code>${code}</code>`));
+
+  // Balise du lien protégée: les _ et * d'une adresse ne deviennent pas de l'italique (le texte du lien, si)
+  out = out.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+    // url est déjà échappée: pas de guillemet possible dans l'attribut
+    if (!SAFE_URL.test(url)) return label;
+    return `${protect(`<a href="${url}" target="_blank" rel="noopener noreferrer">`)}${label}</a>`;
+  });
+
+  out = out
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_([^_\s][^_]*?)_(?!\w)/g, '$1<em>$2</em>');
+
+  return out.replace(new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g'), (match, index) => spans[Number(index)]);
+}
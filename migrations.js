@@ -0,0 +1,97 @@
+/*
+  migrations.js — Versions du schéma des données (stockage et sauvegardes)
+  - Les données ont la forme d'une sauvegarde: { version, users, tasksByUser, trashByUser, ... }
+  - MIGRATIONS: une étape par version, appliquées dans l'ordre (v1 → v2 → ...)
+  - Chaque étape reçoit une copie et renvoie les données au format de sa version
+  - Des données d'une version plus récente que SCHEMA_VERSION sont refusées (MigrationError)
+  - Ajouter une version: nouvelle étape { version: N, description, up } et SCHEMA_VERSION = N
+*/
+
+import { normalizeDate } from './dates.js';
+import { sortByOrder } from './ordering.js';
+
+export class MigrationError extends Error {
+  constructor(message, version) {
+    super(message);
+    this.name = 'MigrationError';
+    this.version = version;
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Local due/defer dates and explicit manual order',
+    up(data) {
+      const upgradeList = list => {
+        if (!Array.isArray(list)) return list;
+        // Ordre manuel renuméroté (0, 1, 2...) tel que l'affichait le tri "Manual" (sans ordre: plus récentes d'abord)
+        const orderById = new Map(sortByOrder(list.filter(isTask)).map((task, index) => [task.id, index]));
+        return list.map(task => (isTask(task) ? upgradeTask(task, orderById.get(task.id)) : task));
+      };
+      const next = { ...data };
+      ['tasksByUser', 'trashByUser'].forEach(field => {
+        if (data[field]) next[field] = mapAccounts(data[field], upgradeList);
+      });
+      return next;
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.reduce((max, step) => Math.max(max, step.version), 1);
+
+function isTask(task) {
+  return Boolean(task) && typeof task === 'object' && typeof task.id === 'string';
+}
+
+// v2: horodatages UTC des anciennes versions ramenés au jour local, ordre manuel renseigné
+function upgradeTask(task, order) {
+  const next = { ...task, order };
+  ['dueAt', 'deferUntil'].forEach(field => {
+    if (task[field] === undefined) return;
+    const date = normalizeDate(task[field]);
+    if (date) next[field] = date; else delete next[field];
+  });
+  return next;
+}
+
+// Applique fn à la valeur de chaque compte d'un objet { compte: valeur }
+function mapAccounts(byAccount, fn) {
+  if (!byAccount || typeof byAccount !== 'object' || Array.isArray(byAccount)) return byAccount;
+  const out = {};
+  Object.keys(byAccount).forEach(accountId => {
+    out[accountId] = fn(byAccount[accountId]);
+  });
+  return out;
+}
+
+// Version des données (1 si absente: sauvegardes et stockage d'avant le versionnement)
+export function readVersion(value) {
+  if (value === undefined || value === null || value === '') return 1;
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new MigrationError(`Unknown data version "${value}".`, value);
+  }
+  return version;
+}
+
+// Met les données à jour jusqu'à SCHEMA_VERSION: { data, version, applied: [descriptions] }
+export function migrate(data, fromVersion) {
+  const version = readVersion(fromVersion);
+  if (version > SCHEMA_VERSION) {
+    throw new MigrationError(
+      `This data was saved by a newer version of the app (schema v${version}); this version supports up to v${SCHEMA_VERSION}. Update the app to open it.`,
+      version,
+    );
+  }
+  const applied = [];
+  let current = data;
+  MIGRATIONS
+    .filter(step => step.version > version)
+    .sort((a, b) => a.version - b.version)
+    .forEach(step => {
+      current = { ...step.up(current), version: step.version };
+      applied.push(`v${step.version}: ${step.description}`);
+    });
+  return { data: { ...current, version: SCHEMA_VERSION }, version: SCHEMA_VERSION, applied };
+}
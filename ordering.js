@@ -0,0 +1,73 @@
+/*
+  ordering.js — Ordre manuel des tâches (tri "Manual")
+  - Chaque tâche porte un champ order (nombre, croissant = plus haut dans la liste)
+  - Les tâches sans ordre (anciennes données) sont rangées après, des plus récentes aux plus anciennes
+  - Une nouvelle tâche prend la première place sans modifier l'ordre des autres
+  - Un déplacement ne modifie que la tâche déplacée (ordre pris entre ceux de ses voisines);
+    toutes les tâches ne sont renumérotées (0, 1, 2...) que si l'écart devient trop petit
+    ou si la tâche arrive parmi des tâches sans ordre
+*/
+
+// Écart minimal entre deux ordres voisins avant de tout renuméroter
+const MIN_ORDER_GAP = 1e-6;
+
+// Ordre valide (nombre fini) ou undefined
+export function normalizeOrder(value) {
+  const order = typeof value === 'string' && value.trim() ? Number(value) : value;
+  return typeof order === 'number' && Number.isFinite(order) ? order : undefined;
+}
+
+// Compare deux tâches selon l'ordre manuel (0 si aucune différence: au tri appelant de départager)
+export function compareOrder(a, b) {
+  const hasA = a.order !== undefined;
+  const hasB = b.order !== undefined;
+  if (hasA && hasB) return a.order - b.order;
+  if (hasA !== hasB) return hasA ? -1 : 1;
+  return 0;
+}
+
+// Plus récente d'abord (même règle que le tri "Created")
+function compareCreatedDesc(a, b) {
+  return new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime();
+}
+
+// Tâches dans l'ordre manuel
+export function sortByOrder(tasks) {
+  return [...tasks].sort((a, b) => compareOrder(a, b) || compareCreatedDesc(a, b));
+}
+
+// Ordre à donner à une nouvelle tâche pour qu'elle apparaisse en tête
+export function getTopOrder(tasks) {
+  const orders = tasks.map(task => task.order).filter(order => order !== undefined);
+  return orders.length > 0 ? Math.min(...orders) - 1 : 0;
+}
+
+// Ordre à donner entre deux voisines (undefined: pas de place, il faut renuméroter)
+function getOrderBetween(previous, next) {
+  if (previous && previous.order === undefined) return undefined;
+  if (!previous) return next && next.order !== undefined ? next.order - 1 : undefined;
+  if (!next || next.order === undefined) return previous.order + 1;
+  return next.order - previous.order >= MIN_ORDER_GAP ? (previous.order + next.order) / 2 : undefined;
+}
+
+// Déplace la tâche id juste avant (ou après) targetId; renvoie la liste (même ordre de tableau)
+// où seules les tâches dont l'ordre change sont remplacées (datées de updatedAt s'il est fourni)
+export function moveInOrder(tasks, id, targetId, position = 'before', { updatedAt } = {}) {
+  if (id === targetId) return tasks;
+  const ordered = sortByOrder(tasks);
+  const moving = ordered.find(task => task.id === id);
+  if (!moving || !ordered.some(task => task.id === targetId)) return tasks;
+  const rest = ordered.filter(task => task.id !== id);
+  const targetIndex = rest.findIndex(task => task.id === targetId);
+  const index = position === 'after' ? targetIndex + 1 : targetIndex;
+  // Déjà à cette place
+  if (ordered.indexOf(moving) === index) return tasks;
+  const stamp = updatedAt ? { updatedAt } : {};
+  const order = getOrderBetween(rest[index - 1], rest[index]);
+  if (order !== undefined) {
+    return tasks.map(task => (task.id === id ? { ...task, order, ...stamp } : task));
+  }
+  rest.splice(index, 0, moving);
+  const orderById = new Map(rest.map((task, rank) => [task.id, rank]));
+  return tasks.map(task => (task.order === orderById.get(task.id) ? task : { ...task, order: orderById.get(task.id), ...stamp }));
+}
@@ -0,0 +1,235 @@
+/*
+  query.js — Petit langage de requête pour filtrer les tâches
+  Exemple: due:<today priority:high -completed tag:work created:>2026-01-01 "mot exact"
+
+  - Les clauses sont séparées par des espaces et toutes doivent être vraies (ET)
+  - "-" devant une clause l'inverse (ex: -tag:perso, -completed)
+  - champ:valeur avec les champs due, created, priority, tag, project, is
+  - due/created/priority acceptent les opérateurs <, <=, >, >=, = (par défaut =)
+  - Dates: today, tomorrow, yesterday ou yyyy-mm-dd (due:none = sans échéance)
+  - Mots-clés de statut: completed, active, overdue, recurring, archived, deferred (ou is:completed, ...)
+  - Les autres mots cherchent dans le titre et la description (voir search.js), y compris
+    ceux dont le préfixe avant ":" n'est pas un champ (10:30, re:réunion);
+    les guillemets permettent de chercher un mot-clé comme simple texte
+  - revealsStatus: tâches archivées ou reportées montrées seulement pour une recherche de texte
+    ou une clause is:archived / is:deferred (les autres clauses gardent le masquage habituel)
+*/
+
+import { addDaysISO, isISODate, normalizeDate, todayISO } from './dates.js';
+import { foldText, matchesSearch } from './search.js';
+
+export const QUERY_FIELDS = ['due', 'created', 'priority', 'tag', 'project', 'is'];
+const STATUS_KEYWORDS = ['completed', 'active', 'overdue', 'recurring', 'archived', 'deferred'];
+const PRIORITY_RANK = { none: 0, low: 1, med: 2, high: 3 };
+const PRIORITY_ALIASES = { none: 'none', low: 'low', med: 'med', medium: 'med', high: 'high' };
+const COMPARABLE_FIELDS = ['due', 'created', 'priority'];
+
+// Erreur de syntaxe avec la position (index du caractère) dans la requête
+export class QueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+// Analyse la requête et renvoie { clauses } (lève QueryError si la syntaxe est invalide)
+export function parseQuery(text) {
+  const clauses = tokenize(String(text || '')).map(parseClause);
+  return { clauses };
+}
+
+// Vrai si la tâche satisfait toutes les clauses; options.today (yyyy-mm-dd) sert de référence
+export function evaluateQuery(query, task, options = {}) {
+  if (!query || query.clauses.length === 0) return true;
+  const today = options.today || todayISO();
+  return query.clauses.every(clause => {
+    const result = matchClause(clause, task, today);
+    return clause.negate ? !result : result;
+  });
+}
+
+// Vrai si la requête doit aussi parcourir les tâches masquées par ce statut (archived, deferred)
+export function revealsStatus(query, status) {
+  if (!query) return false;
+  return query.clauses.some(clause => (clause.type === 'text' && !clause.negate)
+    || (clause.type === 'status' && clause.value === status));
+}
+
+// Mots de texte (non inversés) à surligner dans les titres
+export function getHighlightTerms(query) {
+  if (!query) return [];
+  return query.clauses
+    .filter(clause => clause.type === 'text' && !clause.negate)
+    .map(clause => clause.term);
+}
+
+// Découpe en jetons { raw, negate, field, value, quoted, position }
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    if (/\s/.test(text[index])) {
+      index += 1;
+      continue;
+    }
+
+    const position = index;
+    let negate = false;
+    if (text[index] === '-' && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+      negate = true;
+      index += 1;
+    }
+
+    let value = '';
+    let field = null;
+    let quoted = false;
+    while (index < text.length && !/\s/.test(text[index])) {
+      const char = text[index];
+      if (char === '"') {
+        const end = text.indexOf('"', index + 1);
+        if (end === -1) {
+          throw new QueryError(`Unterminated quote at position ${index + 1}.`, index);
+        }
+        value += text.slice(index + 1, end);
+        quoted = true;
+        index = end + 1;
+        continue;
+      }
+      // Le premier ":" hors guillemets sépare le champ de la valeur
+      if (char === ':' && field === null && !quoted && value) {
+        field = value;
+        value = '';
+        index += 1;
+        continue;
+      }
+      value += char;
+      index += 1;
+    }
+
+    tokens.push({ raw: text.slice(position, index), negate, field, value, quoted, position });
+  }
+  return tokens;
+}
+
+// Transforme un jeton en clause typée (texte, statut ou champ)
+function parseClause(token) {
+  const { negate, position } = token;
+  const field = token.field === null ? null : token.field.toLowerCase();
+
+  if (field === null || !QUERY_FIELDS.includes(field)) {
+    const keyword = token.value.toLowerCase();
+    if (field === null && !token.quoted && STATUS_KEYWORDS.includes(keyword)) {
+      return { type: 'status', negate, value: keyword };
+    }
+    // Préfixe qui n'est pas un champ: le mot entier est cherché tel quel
+    const term = foldText(field === null ? token.value : `${token.field}:${token.value}`).folded;
+    if (!term) {
+      throw new QueryError(`Empty search term at position ${position + 1}.`, position);
+    }
+    return { type: 'text', negate, term };
+  }
+
+  let value = token.value;
+  let op = '=';
+  const opMatch = token.quoted ? null : value.match(/^(<=|>=|<|>|=)/);
+  if (opMatch) {
+    op = opMatch[1];
+    value = value.slice(op.length);
+  }
+  if (!value) {
+    throw new QueryError(`Missing value after "${token.field}:" at position ${position + 1}.`, position);
+  }
+  if (op !== '=' && !COMPARABLE_FIELDS.includes(field)) {
+    throw new QueryError(`Operator "${op}" is not supported for "${field}".`, position);
+  }
+
+  if (field === 'is') {
+    const keyword = value.toLowerCase();
+    if (!STATUS_KEYWORDS.includes(keyword)) {
+      throw new QueryError(`Unknown status "${value}". Use one of: ${STATUS_KEYWORDS.join(', ')}.`, position);
+    }
+    return { type: 'status', negate, value: keyword };
+  }
+
+  if (field === 'priority') {
+    const priority = PRIORITY_ALIASES[value.toLowerCase()];
+    if (!priority) {
+      throw new QueryError(`Unknown priority "${value}". Use high, med, low or none.`, position);
+    }
+    return { type: 'priority', negate, op, value: priority };
+  }
+
+  if (field === 'due' || field === 'created') {
+    if (value.toLowerCase() === 'none') {
+      if (op !== '=') {
+        throw new QueryError(`"${field}:none" cannot be compared with "${op}".`, position);
+      }
+      return { type: field, negate, op, value: null };
+    }
+    const date = parseDateValue(value);
+    if (!date) {
+      throw new QueryError(`Invalid date "${value}" for "${field}". Use today, tomorrow, yesterday or yyyy-mm-dd.`, position);
+    }
+    return { type: field, negate, op, value: date };
+  }
+
+  // tag / project: comparaison insensible à la casse et aux accents
+  return { type: field, negate, value: foldText(value).folded };
+}
+
+// Valeur de date: mot-clé relatif ({ relative: n jours }) ou date absolue ({ iso })
+function parseDateValue(value) {
+  const keyword = value.toLowerCase();
+  if (keyword === 'today') return { relative: 0 };
+  if (keyword === 'tomorrow') return { relative: 1 };
+  if (keyword === 'yesterday') return { relative: -1 };
+  if (!isISODate(value)) return null;
+  return { iso: value };
+}
+
+function resolveDate(value, today) {
+  if (value.iso) return value.iso;
+  return addDaysISO(today, value.relative);
+}
+
+function compare(left, op, right) {
+  if (op === '<') return left < right;
+  if (op === '<=') return left <= right;
+  if (op === '>') return left > right;
+  if (op === '>=') return left >= right;
+  return left === right;
+}
+
+function matchClause(clause, task, today) {
+  switch (clause.type) {
+    case 'text':
+      return matchesSearch(task, [clause.term]);
+    case 'status':
+      if (clause.value === 'completed') return Boolean(task.completed);
+      if (clause.value === 'active') return !task.completed;
+      if (clause.value === 'overdue') return !task.completed && Boolean(task.dueAt) && task.dueAt < today;
+      if (clause.value === 'archived') return Boolean(task.archivedAt);
+      // Reportée: pas encore actionnable avant sa date de début (deferUntil)
+      if (clause.value === 'deferred') return Boolean(task.deferUntil) && task.deferUntil > today;
+      return Boolean(task.recurrence);
+    case 'priority':
+      return compare(PRIORITY_RANK[task.priority || 'none'], clause.op, PRIORITY_RANK[clause.value]);
+    case 'due':
+      if (clause.value === null) return !task.dueAt;
+      return Boolean(task.dueAt) && compare(task.dueAt, clause.op, resolveDate(clause.value, today));
+    case 'created': {
+      if (clause.value === null) return !task.createdAt;
+      // Horodatage de création ramené au jour local
+      const created = normalizeDate(task.createdAt);
+      if (!created) return false;
+      return compare(created, clause.op, resolveDate(clause.value, today));
+    }
+    case 'tag':
+      return (task.tags || []).some(tag => foldText(tag).folded === clause.value);
+    case 'project':
+      return Boolean(task.project) && foldText(task.project).folded === clause.value;
+    default:
+      return false;
+  }
+}
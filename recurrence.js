@@ -0,0 +1,145 @@
+/*
+  recurrence.js — Règles de répétition des tâches (style RRULE simplifié)
+  - Fréquences: quotidienne (tous les N jours), hebdomadaire (jours choisis), mensuelle (jour N)
+  - Fin de série: date limite (until) et/ou nombre d'occurrences (count)
+  - Module sans DOM: utilisé par app.js et par les tests
+*/
+
+import { isISODate, parseISODate, toISODate } from './dates.js';
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Garde-fou pour les boucles de projection (une année de jours)
+const MAX_PROJECTED = 366;
+
+// Normalise une règle de répétition (ou undefined si invalide)
+export function normalizeRecurrence(value) {
+  if (!value || typeof value !== 'object') return undefined;
+  if (!FREQUENCIES.includes(value.freq)) return undefined;
+
+  const rule = {
+    freq: value.freq,
+    interval: toPositiveInt(value.interval) || 1,
+  };
+
+  if (rule.freq === 'weekly') {
+    const weekdays = Array.isArray(value.weekdays)
+      ? value.weekdays.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+      : [];
+    rule.weekdays = Array.from(new Set(weekdays)).sort((a, b) => a - b);
+  }
+
+  if (rule.freq === 'monthly') {
+    const monthDay = toPositiveInt(value.monthDay);
+    if (monthDay && monthDay <= 31) rule.monthDay = monthDay;
+  }
+
+  if (isISODate(value.until)) {
+    rule.until = value.until;
+  }
+  const count = toPositiveInt(value.count);
+  if (count) rule.count = count;
+
+  return rule;
+}
+
+// Calcule la prochaine date (yyyy-mm-dd) strictement après fromISO, sans tenir compte des limites
+export function nextOccurrenceDate(fromISO, rule) {
+  const from = parseISODate(fromISO);
+  if (!from || !rule) return undefined;
+
+  if (rule.freq === 'daily') {
+    return toISODate(addDays(from, rule.interval));
+  }
+
+  if (rule.freq === 'weekly') {
+    const weekdays = rule.weekdays && rule.weekdays.length > 0 ? rule.weekdays : [from.getDay()];
+    const fromMonday = mondayOf(from);
+    // On parcourt au plus interval+1 semaines pour trouver le prochain jour valide
+    for (let offset = 1; offset <= 7 * (rule.interval + 1); offset += 1) {
+      const candidate = addDays(from, offset);
+      const weeks = Math.round((mondayOf(candidate) - fromMonday) / (7 * 86400000));
+      if (weeks % rule.interval === 0 && weekdays.includes(candidate.getDay())) {
+        return toISODate(candidate);
+      }
+    }
+    return undefined;
+  }
+
+  if (rule.freq === 'monthly') {
+    const day = rule.monthDay || from.getDate();
+    const sameMonth = clampToMonth(from.getFullYear(), from.getMonth(), day);
+    if (sameMonth.getDate() > from.getDate()) {
+      return toISODate(sameMonth);
+    }
+    return toISODate(clampToMonth(from.getFullYear(), from.getMonth() + rule.interval, day));
+  }
+
+  return undefined;
+}
+
+// Indique si l'occurrence (date + rang 1-based) respecte until/count
+export function isWithinSeries(rule, iso, occurrence) {
+  if (!rule || !iso) return false;
+  if (rule.until && iso > rule.until) return false;
+  if (rule.count && occurrence > rule.count) return false;
+  return true;
+}
+
+// Prochaine occurrence d'une tâche récurrente: { dueAt, occurrence } ou null si la série est terminée
+export function nextOccurrence(task) {
+  if (!task || !task.recurrence || !task.dueAt) return null;
+  const dueAt = nextOccurrenceDate(task.dueAt, task.recurrence);
+  const occurrence = (task.occurrence || 1) + 1;
+  if (!dueAt || !isWithinSeries(task.recurrence, dueAt, occurrence)) return null;
+  return { dueAt, occurrence };
+}
+
+// Liste les occurrences futures d'une tâche comprises entre startISO et endISO (inclus)
+export function projectOccurrences(task, startISO, endISO) {
+  const out = [];
+  let cursor = task;
+  for (let index = 0; index < MAX_PROJECTED; index += 1) {
+    const next = nextOccurrence(cursor);
+    if (!next || next.dueAt > endISO) break;
+    if (next.dueAt >= startISO) out.push(next);
+    cursor = { ...cursor, ...next };
+  }
+  return out;
+}
+
+// Texte lisible d'une règle (ex: "Repeats every 2 weeks on Mon, Thu")
+export function formatRecurrence(rule) {
+  if (!rule) return '';
+  const units = { daily: 'days', weekly: 'weeks', monthly: 'months' };
+  let text = rule.interval === 1 ? `Repeats ${rule.freq}` : `Repeats every ${rule.interval} ${units[rule.freq]}`;
+  if (rule.freq === 'weekly' && rule.weekdays && rule.weekdays.length > 0) {
+    text += ` on ${rule.weekdays.map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+  }
+  if (rule.freq === 'monthly' && rule.monthDay) {
+    text += ` on day ${rule.monthDay}`;
+  }
+  if (rule.until) text += ` until ${rule.until}`;
+  if (rule.count) text += ` (${rule.count} ${rule.count === 1 ? 'time' : 'times'})`;
+  return text;
+}
+
+function toPositiveInt(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : undefined;
+}
+
+function addDays(date, delta) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + delta);
+}
+
+function mondayOf(date) {
+  const day = date.getDay();
+  return addDays(date, day === 0 ? -6 : 1 - day);
+}
+
+// Jour N du mois, ramené au dernier jour si le mois est plus court (ex: 31 → 30 avril)
+function clampToMonth(year, month, day) {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(day, lastDay));
+}
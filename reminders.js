@@ -0,0 +1,171 @@
+/*
+  reminders.js — Rappels des tâches (sans DOM: utilisé par app.js et par les tests)
+  - Deux formes: { at: "yyyy-mm-ddTHH:MM" } (heure locale fixe)
+    ou { before: minutes } (N minutes avant l'échéance)
+  - L'échéance d'une tâche est son jour à l'heure de début, ou à 09:00 sans heure
+  - État stocké dans le rappel lui-même: firedAt (déclenché), snoozedUntil (reporté),
+    dismissed (retiré du centre de notifications). Reporter un rappel ne touche pas à dueAt
+  - Un rappel est "en attente" tant qu'il n'a pas été déclenché après son heure courante:
+    changer l'échéance ou reporter le rappel le remet donc en attente automatiquement
+*/
+
+import { addDaysISO, daysBetweenISO, formatISODate, isISODate, parseISODate } from './dates.js';
+import { normalizeTime, timeToMinutes } from './timeline.js';
+
+export const REMINDER_UNITS = { minutes: 1, hours: 60, days: 24 * 60 };
+// Heure de l'échéance quand la tâche n'a pas d'heure de début
+export const DEFAULT_REMINDER_TIME = '09:00';
+const MAX_BEFORE_MINUTES = 365 * 24 * 60;
+const MINUTE_MS = 60 * 1000;
+
+// Normalise un rappel (objet stocké ou importé) ou renvoie undefined
+export function normalizeReminder(value) {
+  if (!value || typeof value !== 'object') return undefined;
+  let reminder;
+  if (typeof value.at === 'string') {
+    const at = normalizeReminderAt(value.at);
+    if (!at) return undefined;
+    reminder = { at };
+  } else {
+    const before = Number(value.before);
+    if (!Number.isInteger(before) || before < 0 || before > MAX_BEFORE_MINUTES) return undefined;
+    reminder = { before };
+  }
+  if (isTimestamp(value.snoozedUntil)) reminder.snoozedUntil = value.snoozedUntil;
+  if (isTimestamp(value.firedAt)) reminder.firedAt = value.firedAt;
+  if (value.dismissed === true) reminder.dismissed = true;
+  return reminder;
+}
+
+// "yyyy-mm-ddTHH:MM" valide (valeur d'un champ datetime-local, secondes ignorées) ou undefined
+export function normalizeReminderAt(value) {
+  if (typeof value !== 'string') return undefined;
+  const match = value.trim().match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}:\d{2})(:\d{2}(\.\d+)?)?$/);
+  if (!match || !isISODate(match[1])) return undefined;
+  const time = normalizeTime(match[2]);
+  return time ? `${match[1]}T${time}` : undefined;
+}
+
+// Règle seule, sans l'état de déclenchement (pour comparer ou repartir de zéro)
+export function resetReminder(reminder) {
+  if (!reminder) return undefined;
+  return reminder.at ? { at: reminder.at } : { before: reminder.before };
+}
+
+// Rappel d'une tâche dont l'échéance ou l'heure de début change: un rappel relatif à l'échéance
+// repart de sa règle (un report de l'ancienne échéance ne vaut plus), un rappel à heure fixe est gardé
+export function reminderForReschedule(reminder) {
+  if (!reminder || reminder.at) return reminder;
+  return resetReminder(reminder);
+}
+
+// Règle du rappel pour l'occurrence suivante d'une tâche récurrente:
+// un rappel à heure fixe est décalé d'autant de jours que l'échéance
+export function reminderForOccurrence(reminder, fromDueAt, toDueAt) {
+  const rule = resetReminder(reminder);
+  if (!rule || !rule.at) return rule;
+  const days = daysBetweenISO(fromDueAt, toDueAt);
+  if (days === undefined) return rule;
+  return { at: `${addDaysISO(rule.at.slice(0, 10), days)}${rule.at.slice(10)}` };
+}
+
+// Décalage en minutes à partir d'une quantité et d'une unité (minutes, hours, days)
+export function toBeforeMinutes(amount, unit) {
+  if (amount === undefined || amount === null || String(amount).trim() === '') return undefined;
+  const value = Number(amount);
+  if (!REMINDER_UNITS[unit] || !Number.isInteger(value) || value < 0) return undefined;
+  const minutes = value * REMINDER_UNITS[unit];
+  return minutes <= MAX_BEFORE_MINUTES ? minutes : undefined;
+}
+
+// Inverse de toBeforeMinutes: plus grande unité qui tombe juste (90 → 90 minutes, 120 → 2 hours)
+export function splitBeforeMinutes(minutes) {
+  if (minutes > 0 && minutes % REMINDER_UNITS.days === 0) return { amount: minutes / REMINDER_UNITS.days, unit: 'days' };
+  if (minutes > 0 && minutes % REMINDER_UNITS.hours === 0) return { amount: minutes / REMINDER_UNITS.hours, unit: 'hours' };
+  return { amount: minutes, unit: 'minutes' };
+}
+
+// Instant (ms) prévu par la règle, sans tenir compte du report
+export function getScheduledTime(task) {
+  const reminder = task.reminder;
+  if (!reminder) return undefined;
+  if (reminder.at) return localTime(reminder.at.slice(0, 10), reminder.at.slice(11));
+  if (!task.dueAt) return undefined;
+  const due = localTime(task.dueAt, task.startTime || DEFAULT_REMINDER_TIME);
+  return due === undefined ? undefined : due - reminder.before * MINUTE_MS;
+}
+
+// Instant (ms) où le rappel doit sonner: report éventuel, sinon la règle
+export function getReminderTime(task) {
+  if (!task.reminder) return undefined;
+  if (task.reminder.snoozedUntil) return Date.parse(task.reminder.snoozedUntil);
+  return getScheduledTime(task);
+}
+
+// Vrai si le rappel a déjà sonné pour son heure courante
+export function isReminderFired(task) {
+  const time = getReminderTime(task);
+  if (time === undefined || !task.reminder.firedAt) return false;
+  return Date.parse(task.reminder.firedAt) >= time;
+}
+
+// Rappels à déclencher maintenant (tâches non terminées, heure atteinte, pas encore sonné)
+export function getDueReminders(tasks, now = Date.now()) {
+  return tasks.filter(task => {
+    if (task.completed) return false;
+    const time = getReminderTime(task);
+    return time !== undefined && time <= now && !isReminderFired(task);
+  });
+}
+
+// Rappels à venir, du plus proche au plus lointain
+export function getUpcomingReminders(tasks, now = Date.now()) {
+  return tasks
+    .filter(task => !task.completed && getReminderTime(task) > now)
+    .sort((a, b) => getReminderTime(a) - getReminderTime(b));
+}
+
+// Rappels déjà sonnés et pas encore retirés, du plus récent au plus ancien
+export function getFiredReminders(tasks) {
+  return tasks
+    .filter(task => !task.completed && !(task.reminder && task.reminder.dismissed) && isReminderFired(task))
+    .sort((a, b) => Date.parse(b.reminder.firedAt) - Date.parse(a.reminder.firedAt));
+}
+
+export function markReminderFired(reminder, now = Date.now()) {
+  const { dismissed, ...rest } = reminder;
+  return { ...rest, firedAt: new Date(now).toISOString() };
+}
+
+// Reporte le rappel de N minutes à partir de maintenant (l'échéance ne change pas)
+export function snoozeReminder(reminder, minutes, now = Date.now()) {
+  const { dismissed, firedAt, ...rest } = reminder;
+  return { ...rest, snoozedUntil: new Date(now + minutes * MINUTE_MS).toISOString() };
+}
+
+export function dismissReminder(reminder) {
+  return { ...reminder, dismissed: true };
+}
+
+// Description courte de la règle (ex: "15 minutes before", "Mar 19 09:00")
+export function formatReminder(reminder) {
+  if (!reminder) return '';
+  if (reminder.at) return `${formatISODate(reminder.at.slice(0, 10))} ${reminder.at.slice(11)}`;
+  if (reminder.before === 0) return 'At due time';
+  const { amount, unit } = splitBeforeMinutes(reminder.before);
+  const label = amount === 1 ? unit.slice(0, -1) : unit;
+  return `${amount} ${label} before`;
+}
+
+// Date et heure locales → instant (ms); gère les heures inexistantes (passage à l'heure d'été)
+function localTime(iso, time) {
+  const date = parseISODate(iso);
+  const minutes = normalizeTime(time) ? timeToMinutes(time) : undefined;
+  if (!date || minutes === undefined) return undefined;
+  date.setHours(0, minutes, 0, 0);
+  return date.getTime();
+}
+
+function isTimestamp(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
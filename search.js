@@ -0,0 +1,71 @@
+/*
+  search.js — Recherche plein texte insensible à la casse et aux accents
+  - "Pliage" du texte: minuscules, accents retirés (é → e, œ → oe, ...)
+  - Correspondance de chaque mot de la recherche dans le titre ou la description
+  - Calcul des plages à surligner dans le texte d'origine
+*/
+
+// Ligatures que la décomposition Unicode (NFD) ne sépare pas
+const LIGATURES = { 'œ': 'oe', 'æ': 'ae', 'ß': 'ss' };
+
+// Plie un caractère: minuscule, sans accent
+function foldChar(char) {
+  const lower = char.toLowerCase();
+  if (LIGATURES[lower]) return LIGATURES[lower];
+  return lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Plie un texte et garde, pour chaque caractère plié, l'index du caractère d'origine
+export function foldText(text) {
+  const source = String(text || '');
+  let folded = '';
+  const map = [];
+  for (let index = 0; index < source.length; index += 1) {
+    const piece = foldChar(source[index]);
+    for (let offset = 0; offset < piece.length; offset += 1) {
+      map.push(index);
+    }
+    folded += piece;
+  }
+  return { folded, map };
+}
+
+// Découpe la recherche en mots pliés (les espaces séparent les mots)
+export function parseSearchTerms(query) {
+  return String(query || '')
+    .split(/\s+/)
+    .map(term => foldText(term).folded)
+    .filter(Boolean);
+}
+
+// Vrai si chaque mot apparaît dans le titre ou la description
+export function matchesSearch(task, terms) {
+  if (!terms || terms.length === 0) return true;
+  const haystack = `${foldText(task.title).folded}\n${foldText(task.description).folded}`;
+  return terms.every(term => haystack.includes(term));
+}
+
+// Plages [début, fin) à surligner dans text, fusionnées et triées
+export function findMatchRanges(text, terms) {
+  if (!text || !terms || terms.length === 0) return [];
+  const { folded, map } = foldText(text);
+  const ranges = [];
+  terms.forEach(term => {
+    let from = folded.indexOf(term);
+    while (from !== -1) {
+      ranges.push([map[from], map[from + term.length - 1] + 1]);
+      from = folded.indexOf(term, from + 1);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  ranges.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  });
+  return merged;
+}
@@ -0,0 +1,63 @@
+/*
+  smart-lists.js — Listes intelligentes (sans DOM: utilisé par app.js et par les tests)
+  - today: à faire aujourd'hui ou en retard
+  - upcoming: dans les 7 prochains jours (échéance, ou fin du report pour une tâche reportée)
+  - overdue: échéance dépassée (même règle que isPastDue)
+  - nodate: sans échéance
+  Les tâches terminées n'apparaissent dans aucune de ces listes.
+*/
+
+import { addDaysISO, formatISODate, isPastDue, todayISO } from './dates.js';
+
+export const SMART_LISTS = ['today', 'upcoming', 'overdue', 'nodate'];
+export const UPCOMING_DAYS = 7;
+
+// Vrai si la tâche est reportée (date de report dans le futur)
+export function isDeferred(task, today = todayISO()) {
+  return Boolean(task.deferUntil) && task.deferUntil > today;
+}
+
+// Jour où la tâche entre dans "Upcoming": fin du report si elle est reportée, sinon l'échéance
+export function getUpcomingDate(task, today) {
+  return isDeferred(task, today) ? task.deferUntil : task.dueAt;
+}
+
+// Vrai si la tâche appartient à la liste intelligente donnée
+export function matchesSmartList(task, list, today) {
+  if (task.completed) return false;
+  switch (list) {
+    case 'today':
+      return Boolean(task.dueAt) && task.dueAt <= today;
+    case 'upcoming': {
+      const date = getUpcomingDate(task, today);
+      return Boolean(date) && date > today && date <= addDaysISO(today, UPCOMING_DAYS);
+    }
+    case 'overdue':
+      return isPastDue(task.dueAt, today);
+    case 'nodate':
+      return !task.dueAt;
+    default:
+      return false;
+  }
+}
+
+// Regroupe des tâches déjà triées par jour: [{ date, label, tasks }] dans l'ordre chronologique
+export function groupByDay(tasks, getDate, today) {
+  const groups = new Map();
+  tasks.forEach(task => {
+    const date = getDate(task) || '';
+    if (!groups.has(date)) groups.set(date, []);
+    groups.get(date).push(task);
+  });
+  return Array.from(groups.keys())
+    .sort()
+    .map(date => ({ date, label: formatDayLabel(date, today), tasks: groups.get(date) }));
+}
+
+// "Tomorrow" pour demain, sinon jour de la semaine et date (ex: "Wed, Mar 25")
+export function formatDayLabel(date, today) {
+  if (!date) return 'No date';
+  if (date === today) return 'Today';
+  if (date === addDaysISO(today, 1)) return 'Tomorrow';
+  return formatISODate(date, { weekday: 'short', month: 'short', day: 'numeric' });
+}
@@ -0,0 +1,78 @@
+/*
+  storage-health.js — Santé du stockage (écritures refusées, espace utilisé)
+  - guardWrites: une écriture qui échoue (quota dépassé...) ne casse plus l'action en cours;
+    l'état en mémoire est gardé et l'échec est signalé (onError)
+  - getUsageByAccount: place occupée par compte, d'après les clés "todo.<type>.v1.<compte>"
+  - Le quota de localStorage n'est pas exposé par les navigateurs: LOCAL_STORAGE_QUOTA est une estimation
+*/
+
+// Environ 5 Mo par origine dans la plupart des navigateurs
+export const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+// Au-delà de cette part du quota, l'espace est signalé comme presque plein
+export const WARNING_RATIO = 0.8;
+
+const ACCOUNT_KEY = /^todo\.[a-z]+\.v\d+\.(.+)$/;
+
+// Vrai si l'erreur signale un stockage plein (noms et codes selon les navigateurs)
+export function isQuotaError(error) {
+  if (!error) return false;
+  return error.name === 'QuotaExceededError'
+    || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+    || error.code === 22
+    || error.code === 1014;
+}
+
+// Enveloppe les écritures de l'adaptateur: onError(erreur, clé) au lieu de lever l'erreur
+export function guardWrites(adapter, onError) {
+  const guard = write => (key, value) => {
+    try {
+      write(key, value);
+      return true;
+    } catch (error) {
+      onError(error, key);
+      return false;
+    }
+  };
+  return {
+    ...adapter,
+    setItem: guard((key, value) => adapter.setItem(key, value)),
+    removeItem: guard(key => adapter.removeItem(key)),
+    setTasks: guard((key, tasks) => adapter.setTasks(key, tasks)),
+  };
+}
+
+// Compte d'une clé de stockage (null pour les données partagées: utilisateurs, session...)
+export function getAccountOfKey(key) {
+  const match = ACCOUNT_KEY.exec(key);
+  return match ? match[1] : null;
+}
+
+// Regroupe les tailles [[clé, octets]] par compte: { total, shared, byAccount: { compte: octets } }
+export function getUsageByAccount(entries) {
+  const usage = { total: 0, shared: 0, byAccount: {} };
+  entries.forEach(([key, bytes]) => {
+    const accountId = getAccountOfKey(key);
+    usage.total += bytes;
+    if (accountId === null) usage.shared += bytes;
+    else usage.byAccount[accountId] = (usage.byAccount[accountId] || 0) + bytes;
+  });
+  return usage;
+}
+
+// Vrai si l'espace utilisé dépasse la part d'alerte du quota (quota inconnu: jamais)
+export function isNearlyFull(used, quota, ratio = WARNING_RATIO) {
+  return quota > 0 && used >= quota * ratio;
+}
+
+// Taille lisible: "512 B", "12.3 KB", "4.8 MB"
+export function formatBytes(bytes) {
+  if (!(bytes >= 1024)) return `${Math.max(0, Math.round(bytes || 0))} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value >= 100 ? Math.round(value) : value.toFixed(1)} ${units[unit]}`;
+}
@@ -0,0 +1,299 @@
+/*
+  storage.js — Adaptateurs de stockage (localStorage ou IndexedDB) derrière une même interface
+  - getItem / setItem / removeItem: valeurs texte (JSON) sous une clé, comme window.localStorage
+  - getTasks / setTasks: liste de tâches d'un compte (clé "todo.tasks.v1.<compte>")
+  - Les lectures sont synchrones: l'adaptateur IndexedDB charge tout en mémoire à l'ouverture,
+    puis écrit en arrière-plan: chaque sauvegarde ouvre sa transaction tout de suite (IndexedDB
+    les valide dans l'ordre de création): fermer l'onglet ne perd aucune écriture en attente
+  - IndexedDB enregistre chaque tâche séparément: seules les tâches modifiées sont réécrites,
+    l'ordre de la liste est gardé à part (tableau d'identifiants)
+  - Première ouverture d'IndexedDB: les données "todo.*" de localStorage y sont copiées
+    une seule fois, puis retirées de localStorage une fois la copie enregistrée
+  - Sans IndexedDB (navigation privée, navigateur ancien, erreur d'ouverture): localStorage
+  - receive(clé, valeur): écriture faite par un autre onglet (voir sync.js), à refléter sans réécrire
+  - measure(): taille estimée de chaque clé [[clé, octets]] (voir storage-health.js)
+  - Écriture IndexedDB refusée: signalée par onWriteError, la liste concernée est réécrite en entier
+    à la sauvegarde suivante
+*/
+
+export const TASKS_KEY_PREFIX = 'todo.tasks.v1.';
+// Préfixe des clés de l'application à reprendre de localStorage
+export const LEGACY_KEY_PREFIX = 'todo.';
+// Marqueur de migration (présent dans IndexedDB une fois les données de localStorage copiées)
+export const MIGRATION_KEY = 'todo.storage.migrated.v1';
+export const DB_NAME = 'todo';
+const DB_VERSION = 1;
+const VALUES_STORE = 'values';
+const TASKS_STORE = 'tasks';
+
+// Vrai si la clé désigne une liste de tâches
+export function isTaskListKey(key) {
+  return typeof key === 'string' && key.startsWith(TASKS_KEY_PREFIX) && key.length > TASKS_KEY_PREFIX.length;
+}
+
+// Taille estimée d'une entrée: les navigateurs comptent les chaînes en UTF-16 (2 octets par caractère)
+export function estimateSize(key, text) {
+  return (String(key).length + String(text).length) * 2;
+}
+
+// Adaptateur localStorage: chaque liste de tâches est un seul tableau JSON
+export function createLocalStorageAdapter(storage) {
+  return {
+    kind: 'localStorage',
+    getItem: key => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: key => storage.removeItem(key),
+    // null si aucune liste; lève une erreur si le JSON stocké est invalide
+    getTasks(key) {
+      const raw = storage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    setTasks(key, tasks) {
+      storage.setItem(key, JSON.stringify(tasks));
+    },
+    // localStorage est partagé entre les onglets: rien à mettre à jour
+    receive() {},
+    flush: () => Promise.resolve(),
+    measure() {
+      const sizes = [];
+      for (let index = 0; index < storage.length; index += 1) {
+        const key = storage.key(index);
+        if (key && key.startsWith(LEGACY_KEY_PREFIX)) sizes.push([key, estimateSize(key, storage.getItem(key) || '')]);
+      }
+      return sizes;
+    },
+  };
+}
+
+// Entrées "todo.*" de localStorage à reprendre: { values: [[clé, texte]], taskLists: [[clé, tâches]] }
+export function readLegacyEntries(storage) {
+  const values = [];
+  const taskLists = [];
+  for (let index = 0; index < storage.length; index += 1) {
+    const key = storage.key(index);
+    if (!key || !key.startsWith(LEGACY_KEY_PREFIX)) continue;
+    const raw = storage.getItem(key);
+    if (raw === null) continue;
+    if (!isTaskListKey(key)) {
+      values.push([key, raw]);
+      continue;
+    }
+    // Liste illisible: laissée dans localStorage plutôt que perdue
+    const parsed = parseTaskList(raw);
+    if (parsed) taskLists.push([key, parsed]);
+  }
+  return { values, taskLists };
+}
+
+function parseTaskList(raw) {
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.filter(task => task && typeof task.id === 'string') : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Compare deux versions d'une liste: { put: tâches à écrire, remove: ids à effacer, idsChanged }
+export function diffTaskList(previous, next) {
+  const previousById = new Map(previous.map(task => [task.id, task]));
+  const nextIds = new Set(next.map(task => task.id));
+  const put = next.filter(task => {
+    const before = previousById.get(task.id);
+    return before !== task && (!before || JSON.stringify(before) !== JSON.stringify(task));
+  });
+  const remove = previous.map(task => task.id).filter(id => !nextIds.has(id));
+  const idsChanged = previous.length !== next.length || previous.some((task, index) => task.id !== next[index].id);
+  return { put, remove, idsChanged };
+}
+
+// Ouvre le meilleur stockage disponible (IndexedDB, sinon localStorage)
+// onWriteError(erreur, clé): écriture IndexedDB refusée (les erreurs de localStorage sont levées à l'appel)
+export async function openStorage({ indexedDB, localStorage, dbName = DB_NAME, onWriteError } = {}) {
+  const fallback = createLocalStorageAdapter(localStorage);
+  if (!indexedDB) return fallback;
+  try {
+    return await createIndexedDBAdapter(indexedDB, localStorage, dbName, onWriteError);
+  } catch (error) {
+    console.warn('IndexedDB unavailable, using localStorage', error);
+    return fallback;
+  }
+}
+
+// Adaptateur IndexedDB: magasin "values" (clé → texte) et magasin "tasks" (une entrée par tâche)
+export async function createIndexedDBAdapter(indexedDB, legacyStorage, dbName = DB_NAME, onWriteError) {
+  const db = await openDatabase(indexedDB, dbName);
+  const values = new Map();
+  const taskLists = new Map();
+  await loadAll(db, values, taskLists);
+
+  if (!values.has(MIGRATION_KEY) && legacyStorage) {
+    const legacy = readLegacyEntries(legacyStorage);
+    legacy.values.forEach(([key, value]) => values.set(key, value));
+    legacy.taskLists.forEach(([key, tasks]) => taskLists.set(key, tasks));
+    values.set(MIGRATION_KEY, new Date().toISOString());
+    await runTransaction(db, transaction => {
+      const valueStore = transaction.objectStore(VALUES_STORE);
+      const taskStore = transaction.objectStore(TASKS_STORE);
+      legacy.values.forEach(([key, value]) => valueStore.put(value, key));
+      legacy.taskLists.forEach(([key, tasks]) => {
+        valueStore.put(JSON.stringify(tasks.map(task => task.id)), key);
+        tasks.forEach(task => taskStore.put({ list: key, id: task.id, task }));
+      });
+      valueStore.put(values.get(MIGRATION_KEY), MIGRATION_KEY);
+    });
+    // Copie enregistrée: localStorage ne garde plus de doublon
+    legacy.values.concat(legacy.taskLists).forEach(([key]) => legacyStorage.removeItem(key));
+  }
+
+  // Listes dont une écriture a échoué: la base ne correspond plus à la copie en mémoire
+  const unsaved = new Set();
+  // Transaction ouverte dès l'appel (pas après la précédente): IndexedDB exécute les transactions
+  // qui se chevauchent dans l'ordre de création, et celles déjà ouvertes survivent à la fermeture de l'onglet
+  let pending = Promise.resolve();
+  const enqueue = (key, write) => {
+    const done = runTransaction(db, write).catch(error => {
+      console.warn('Failed to write to IndexedDB', error);
+      if (isTaskListKey(key)) unsaved.add(key);
+      if (onWriteError) onWriteError(error, key);
+    });
+    pending = Promise.all([pending, done]).then(() => {});
+    return pending;
+  };
+
+  return {
+    kind: 'indexedDB',
+    getItem: key => (values.has(key) && !isTaskListKey(key) ? values.get(key) : null),
+    setItem(key, value) {
+      const text = String(value);
+      values.set(key, text);
+      enqueue(key, transaction => transaction.objectStore(VALUES_STORE).put(text, key));
+    },
+    removeItem(key) {
+      if (isTaskListKey(key)) {
+        this.setTasks(key, []);
+        return;
+      }
+      values.delete(key);
+      enqueue(key, transaction => transaction.objectStore(VALUES_STORE).delete(key));
+    },
+    getTasks: key => (taskLists.has(key) ? taskLists.get(key) : null),
+    setTasks(key, tasks) {
+      // Après un échec: toute la liste est réécrite et les tâches qui n'en font plus partie effacées
+      const rewrite = unsaved.has(key);
+      const { put, remove, idsChanged } = diffTaskList(rewrite ? [] : taskLists.get(key) || [], tasks);
+      taskLists.set(key, tasks);
+      if (!rewrite && put.length === 0 && remove.length === 0 && !idsChanged) return;
+      unsaved.delete(key);
+      // Copie JSON: les tâches sont enregistrées telles que localStorage les aurait gardées
+      const records = put.map(task => ({ list: key, id: task.id, task: JSON.parse(JSON.stringify(task)) }));
+      const ids = idsChanged || rewrite ? JSON.stringify(tasks.map(task => task.id)) : null;
+      const kept = new Set(tasks.map(task => task.id));
+      enqueue(key, transaction => {
+        const taskStore = transaction.objectStore(TASKS_STORE);
+        if (rewrite) {
+          taskStore.openCursor().onsuccess = event => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if (cursor.value.list === key && !kept.has(cursor.value.id)) cursor.delete();
+            cursor.continue();
+          };
+        }
+        records.forEach(record => taskStore.put(record));
+        remove.forEach(id => taskStore.delete([key, id]));
+        if (ids) transaction.objectStore(VALUES_STORE).put(ids, key);
+      });
+    },
+    receive(key, value) {
+      if (isTaskListKey(key)) taskLists.set(key, Array.isArray(value) ? value : []);
+      else if (value === null || value === undefined) values.delete(key);
+      else values.set(key, String(value));
+    },
+    // Attend la fin des écritures en cours
+    flush: () => pending,
+    measure() {
+      const sizes = [];
+      values.forEach((value, key) => {
+        if (!isTaskListKey(key)) sizes.push([key, estimateSize(key, value)]);
+      });
+      taskLists.forEach((tasks, key) => sizes.push([key, estimateSize(key, JSON.stringify(tasks))]));
+      return sizes;
+    },
+  };
+}
+
+function openDatabase(indexedDB, dbName) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(VALUES_STORE)) db.createObjectStore(VALUES_STORE);
+      if (!db.objectStoreNames.contains(TASKS_STORE)) db.createObjectStore(TASKS_STORE, { keyPath: ['list', 'id'] });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+  });
+}
+
+// Exécute write(transaction) dans une transaction lecture/écriture; résolue une fois validée
+function runTransaction(db, write) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([VALUES_STORE, TASKS_STORE], 'readwrite');
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    write(transaction);
+  });
+}
+
+// Charge toutes les valeurs et reconstruit chaque liste de tâches dans l'ordre enregistré
+function loadAll(db, values, taskLists) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([VALUES_STORE, TASKS_STORE], 'readonly');
+    const records = [];
+    transaction.objectStore(VALUES_STORE).openCursor().onsuccess = event => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      values.set(cursor.key, cursor.value);
+      cursor.continue();
+    };
+    transaction.objectStore(TASKS_STORE).openCursor().onsuccess = event => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      records.push(cursor.value);
+      cursor.continue();
+    };
+    transaction.oncomplete = () => {
+      const byList = new Map();
+      records.forEach(record => {
+        if (!byList.has(record.list)) byList.set(record.list, new Map());
+        byList.get(record.list).set(record.id, record.task);
+      });
+      byList.forEach((byId, key) => {
+        const ids = safeIds(values.get(key));
+        const ordered = ids.filter(id => byId.has(id)).map(id => byId.get(id));
+        // Tâches absentes de l'ordre enregistré (écriture interrompue): ajoutées à la fin
+        byId.forEach((task, id) => {
+          if (!ids.includes(id)) ordered.push(task);
+        });
+        taskLists.set(key, ordered);
+      });
+      // Listes vides: l'ordre existe sans aucune tâche
+      values.forEach((value, key) => {
+        if (isTaskListKey(key) && !taskLists.has(key)) taskLists.set(key, []);
+      });
+      resolve();
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function safeIds(raw) {
+  try {
+    const parsed = JSON.parse(raw || '[]');
+    return Array.isArray(parsed) ? parsed.filter(id => typeof id === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+}
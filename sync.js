@@ -0,0 +1,113 @@
+/*
+  sync.js — Synchronisation entre onglets
+  - Adaptateur localStorage: l'événement "storage" signale déjà les écritures des autres onglets
+  - Adaptateur IndexedDB: chaque écriture est diffusée sur un BroadcastChannel; les autres onglets
+    mettent leur copie en mémoire à jour (adapter.receive) avant d'être prévenus (onChange)
+  - mergeTaskLists: fusion tâche par tâche (à trois voies) au lieu d'écraser toute la liste
+*/
+
+import { diffTaskList, isTaskListKey, LEGACY_KEY_PREFIX } from './storage.js';
+
+export const SYNC_CHANNEL = 'todo-sync';
+
+function sameTask(a, b) {
+  if (a === b) return true;
+  return Boolean(a) && Boolean(b) && JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Tâche modifiée le plus récemment (à égalité: la version de l'autre onglet)
+function newerTask(local, remote) {
+  const localTime = Date.parse(local.updatedAt) || 0;
+  const remoteTime = Date.parse(remote.updatedAt) || 0;
+  return localTime > remoteTime ? local : remote;
+}
+
+// Fusionne deux versions d'une liste à partir de leur dernière version commune (base)
+// - une tâche modifiée d'un seul côté garde cette modification (ajout et suppression compris)
+// - modifiée des deux côtés: la plus récente (updatedAt) l'emporte
+// - une modification l'emporte sur une suppression faite dans l'autre onglet
+// - ordre: celui de remote, les tâches ajoutées localement restent à leur place
+export function mergeTaskLists(base, local, remote) {
+  const byId = list => new Map(list.map(task => [task.id, task]));
+  const baseById = byId(base);
+  const localById = byId(local);
+  const remoteById = byId(remote);
+
+  const pick = id => {
+    const before = baseById.get(id);
+    const mine = localById.get(id);
+    const theirs = remoteById.get(id);
+    if (sameTask(mine, theirs)) return theirs;
+    if (sameTask(mine, before)) return theirs;
+    if (sameTask(theirs, before)) return mine;
+    if (!mine || !theirs) return mine || theirs;
+    return newerTask(mine, theirs);
+  };
+
+  const order = remote.map(task => task.id);
+  local.forEach((task, index) => {
+    if (order.includes(task.id)) return;
+    const next = local.slice(index + 1).find(item => order.includes(item.id));
+    order.splice(next ? order.indexOf(next.id) : order.length, 0, task.id);
+  });
+  return order.map(pick).filter(Boolean);
+}
+
+// Vrai si les deux listes ont les mêmes tâches, dans le même ordre
+export function isSameTaskList(a, b) {
+  const { put, remove, idsChanged } = diffTaskList(a, b);
+  return put.length === 0 && remove.length === 0 && !idsChanged;
+}
+
+function parseTasks(raw) {
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Relie l'adaptateur aux autres onglets; onChange(clé, valeur) reçoit les écritures des autres onglets
+// (valeur: texte ou null, tableau de tâches pour une liste de tâches). Renvoie l'adaptateur à utiliser.
+export function connectTabs(adapter, { BroadcastChannel, eventTarget, onChange }) {
+  if (adapter.kind === 'localStorage') {
+    if (eventTarget) {
+      eventTarget.addEventListener('storage', event => {
+        // key vaut null quand un autre onglet vide tout le stockage
+        if (!event.key || !event.key.startsWith(LEGACY_KEY_PREFIX)) return;
+        onChange(event.key, isTaskListKey(event.key) ? parseTasks(event.newValue) : event.newValue);
+      });
+    }
+    return adapter;
+  }
+
+  // Sans BroadcastChannel (navigateurs anciens): chaque onglet travaille sur sa copie
+  if (!BroadcastChannel) return adapter;
+  const channel = new BroadcastChannel(SYNC_CHANNEL);
+  channel.onmessage = event => {
+    const message = event.data;
+    if (!message || typeof message.key !== 'string') return;
+    adapter.receive(message.key, message.value);
+    onChange(message.key, message.value);
+  };
+  return {
+    ...adapter,
+    setItem(key, value) {
+      adapter.setItem(key, value);
+      channel.postMessage({ key, value: String(value) });
+    },
+    removeItem(key) {
+      adapter.removeItem(key);
+      channel.postMessage({ key, value: isTaskListKey(key) ? [] : null });
+    },
+    setTasks(key, tasks) {
+      adapter.setTasks(key, tasks);
+      // Copie JSON: même forme que la liste enregistrée (et clonable sans surprise)
+      channel.postMessage({ key, value: JSON.parse(JSON.stringify(tasks)) });
+    },
+    close() {
+      channel.close();
+    },
+  };
+}
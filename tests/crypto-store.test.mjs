@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createEncryptionSettings,
+  createKeyCheck,
+  decryptVault,
+  deriveVaultKey,
+  encryptVault,
+  isEncryptionSupported,
+  isVaultKey,
+  isVaultPayload,
+  PBKDF2_ITERATIONS,
+  VAULT_FORMAT,
+  VaultError,
+} from '../crypto-store.js';
+
+// Peu d'itérations: les tests n'ont pas à payer le coût de PBKDF2
+const settings = createEncryptionSettings({ iterations: 1000 });
+const vault = { schema: 2, tasks: [{ id: 'a', title: 'Réunion 🗓️' }], trash: [], history: { undo: [], redo: [] } };
+
+test('a vault decrypts with the key derived from the same password', async () => {
+  assert.equal(isEncryptionSupported(), true);
+  const key = await deriveVaultKey('correct horse', settings);
+  const payload = await encryptVault(key, vault);
+  assert.equal(isVaultPayload(payload), true);
+  assert.equal(payload.format, VAULT_FORMAT);
+  assert.equal(payload.data.includes('Réunion'), false);
+  assert.equal(JSON.stringify(payload).includes('title'), false);
+  assert.deepEqual(await decryptVault(await deriveVaultKey('correct horse', settings), payload), vault);
+});
+
+test('each encryption uses a fresh IV and each account its own salt', async () => {
+  const key = await deriveVaultKey('correct horse', settings);
+  const first = await encryptVault(key, vault);
+  const second = await encryptVault(key, vault);
+  assert.notEqual(first.iv, second.iv);
+  assert.notEqual(first.data, second.data);
+  const other = createEncryptionSettings();
+  assert.notEqual(other.salt, settings.salt);
+  assert.equal(other.iterations, PBKDF2_ITERATIONS);
+});
+
+test('a wrong password or tampered data is refused', async () => {
+  const payload = await encryptVault(await deriveVaultKey('correct horse', settings), vault);
+  await assert.rejects(decryptVault(await deriveVaultKey('wrong', settings), payload), VaultError);
+  await assert.rejects(decryptVault(await deriveVaultKey('correct horse', createEncryptionSettings({ iterations: 1000 })), payload), VaultError);
+
+  const key = await deriveVaultKey('correct horse', settings);
+  const bytes = Buffer.from(payload.data, 'base64');
+  bytes[0] ^= 1;
+  await assert.rejects(decryptVault(key, { ...payload, data: bytes.toString('base64') }), VaultError);
+  await assert.rejects(decryptVault(key, { ...payload, format: VAULT_FORMAT + 1 }), /newer version/);
+  await assert.rejects(decryptVault(key, { tasks: [] }), VaultError);
+  await assert.rejects(deriveVaultKey('correct horse', {}), VaultError);
+});
+
+test('the key check tells the right password from a wrong one without storing a hash', async () => {
+  const check = await createKeyCheck(await deriveVaultKey('correct horse', settings));
+  assert.equal(isVaultPayload(check), true);
+  assert.equal(await isVaultKey(await deriveVaultKey('correct horse', settings), check), true);
+  assert.equal(await isVaultKey(await deriveVaultKey('wrong', settings), check), false);
+
+  // Comptes chiffrés avant le témoin: le coffre lui-même sert de vérification
+  const payload = await encryptVault(await deriveVaultKey('correct horse', settings), vault);
+  assert.equal(await isVaultKey(await deriveVaultKey('wrong', settings), payload), false);
+  await assert.rejects(isVaultKey(await deriveVaultKey('wrong', settings), { tasks: [] }), VaultError);
+});
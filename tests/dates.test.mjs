@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  addDaysISO,
+  addMonthsISO,
+  daysBetweenISO,
+  formatISODate,
+  getMonthRangeISO,
+  getWeekRangeISO,
+  isISODate,
+  isPastDue,
+  normalizeDate,
+  parseISODate,
+  todayISO,
+} from '../dates.js';
+
+// Fuseaux extrêmes (+14 h, -11 h), demi-heure, heure d'été, et minuit absent le jour du changement (Santiago)
+const ZONES = ['UTC', 'Pacific/Kiritimati', 'Pacific/Pago_Pago', 'Asia/Kolkata', 'America/Los_Angeles', 'Europe/Paris', 'America/Santiago'];
+
+// Exécute fn pour chaque fuseau (Node relit process.env.TZ à chaque affectation)
+function inEachZone(fn) {
+  const original = process.env.TZ;
+  try {
+    ZONES.forEach(zone => {
+      process.env.TZ = zone;
+      fn(zone);
+    });
+  } finally {
+    if (original === undefined) delete process.env.TZ;
+    else process.env.TZ = original;
+  }
+}
+
+test('normalizeDate keeps calendar dates as typed in every zone', () => {
+  inEachZone(zone => {
+    assert.equal(normalizeDate('2026-03-19'), '2026-03-19', zone);
+    assert.equal(normalizeDate(' 2026-01-01 '), '2026-01-01', zone);
+    assert.equal(normalizeDate('2026-03-19T23:30'), '2026-03-19', zone);
+    assert.equal(normalizeDate('2026-03-19 00:15:00'), '2026-03-19', zone);
+    assert.equal(normalizeDate('2026-02-30'), undefined, zone);
+    assert.equal(normalizeDate('not-a-date'), undefined, zone);
+    assert.equal(normalizeDate(''), undefined, zone);
+    assert.equal(normalizeDate(null), undefined, zone);
+  });
+});
+
+test('normalizeDate maps instants to the local day around midnight', () => {
+  inEachZone(zone => {
+    assert.equal(normalizeDate(new Date(2026, 2, 19, 23, 59, 59)), '2026-03-19', zone);
+    assert.equal(normalizeDate(new Date(2026, 2, 20, 0, 0, 1)), '2026-03-20', zone);
+    assert.equal(normalizeDate(new Date(Number.NaN)), undefined, zone);
+  });
+
+  // Un horodatage UTC tombe sur le jour local de l'instant
+  const expected = {
+    UTC: '2026-03-19',
+    'Pacific/Kiritimati': '2026-03-20',
+    'Pacific/Pago_Pago': '2026-03-19',
+    'Asia/Kolkata': '2026-03-20',
+    'America/Los_Angeles': '2026-03-19',
+    'Europe/Paris': '2026-03-20',
+    'America/Santiago': '2026-03-19',
+  };
+  inEachZone(zone => {
+    assert.equal(normalizeDate('2026-03-19T23:30:00.000Z'), expected[zone], zone);
+  });
+});
+
+test('todayISO and isPastDue agree with the local calendar', () => {
+  inEachZone(zone => {
+    const lateEvening = new Date(2026, 2, 19, 23, 59);
+    const justAfterMidnight = new Date(2026, 2, 20, 0, 1);
+    assert.equal(todayISO(lateEvening), '2026-03-19', zone);
+    assert.equal(todayISO(justAfterMidnight), '2026-03-20', zone);
+    assert.equal(isPastDue('2026-03-19', todayISO(lateEvening)), false, zone);
+    assert.equal(isPastDue('2026-03-19', todayISO(justAfterMidnight)), true, zone);
+    assert.equal(isPastDue('2026-03-20', '2026-03-20'), false, zone);
+    assert.equal(isPastDue(undefined, '2026-03-20'), false, zone);
+  });
+});
+
+test('parseISODate returns local midnight of the same day', () => {
+  inEachZone(zone => {
+    const date = parseISODate('2026-03-01');
+    assert.deepEqual([date.getFullYear(), date.getMonth(), date.getDate()], [2026, 2, 1], zone);
+    assert.equal(parseISODate('2026-09-06').getDate(), 6, zone);
+    assert.equal(parseISODate('0099-12-31').getFullYear(), 99, zone);
+    assert.equal(parseISODate('2026-13-01'), undefined, zone);
+    assert.equal(isISODate('2024-02-29'), true, zone);
+    assert.equal(isISODate('2026-02-29'), false, zone);
+  });
+});
+
+test('day, week and month arithmetic across daylight saving changes', () => {
+  inEachZone(zone => {
+    assert.equal(addDaysISO('2026-03-28', 1), '2026-03-29', zone);
+    assert.equal(addDaysISO('2026-03-29', 1), '2026-03-30', zone);
+    assert.equal(addDaysISO('2026-09-05', 1), '2026-09-06', zone);
+    assert.equal(addDaysISO('2026-11-01', 1), '2026-11-02', zone);
+    assert.equal(addDaysISO('2026-01-01', -1), '2025-12-31', zone);
+    assert.deepEqual(getWeekRangeISO('2026-03-29'), { start: '2026-03-23', end: '2026-03-29' }, zone);
+    assert.deepEqual(getWeekRangeISO('2026-03-19'), { start: '2026-03-16', end: '2026-03-22' }, zone);
+    assert.deepEqual(getMonthRangeISO('2026-02-10'), { start: '2026-02-01', end: '2026-02-28' }, zone);
+    assert.equal(addMonthsISO('2026-01-31', 1), '2026-02-28', zone);
+    assert.equal(addMonthsISO('2026-03-31', -13), '2025-02-28', zone);
+    assert.equal(daysBetweenISO('2026-03-28', '2026-03-30'), 2, zone);
+    assert.equal(daysBetweenISO('2026-11-02', '2026-10-31'), -2, zone);
+    assert.equal(daysBetweenISO('2026-03-28', 'soon'), undefined, zone);
+  });
+});
+
+test('formatISODate shows the stored day whatever the zone', () => {
+  inEachZone(zone => {
+    assert.equal(formatISODate('2026-03-01', { month: 'short', day: 'numeric' }, 'en-US'), 'Mar 1', zone);
+    assert.equal(formatISODate('2026-12-31', { year: 'numeric', month: '2-digit', day: '2-digit' }, 'en-US'), '12/31/2026', zone);
+    assert.equal(formatISODate('nope'), '', zone);
+  });
+});
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  applyHistoryChanges,
+  diffTaskLists,
+  limitHistoryStack,
+  MAX_ENTRY_SIZE,
+  MAX_HISTORY,
+  MAX_HISTORY_SIZE,
+  pushHistoryEntry,
+} from '../history.js';
+
+const a = { id: 'a', title: 'A' };
+const b = { id: 'b', title: 'B' };
+const c = { id: 'c', title: 'C' };
+const ids = list => list.map(task => task.id);
+
+test('diffTaskLists keeps only the tasks that changed', () => {
+  const edited = { ...b, title: 'B2' };
+  assert.deepEqual(diffTaskLists([a, b, c], [a, edited, c]), [
+    { id: 'b', before: b, after: edited, beforeIndex: 1, afterIndex: 1 },
+  ]);
+  // Même contenu dans un nouvel objet: aucun changement
+  assert.deepEqual(diffTaskLists([a, b], [{ ...a }, b]), []);
+  assert.deepEqual(diffTaskLists([a, b], [b]), [{ id: 'a', before: a, after: null, beforeIndex: 0, afterIndex: -1 }]);
+  assert.deepEqual(diffTaskLists([b], [c, b]), [{ id: 'c', before: null, after: c, beforeIndex: -1, afterIndex: 0 }]);
+});
+
+test('undo and redo put the changed tasks back in place', () => {
+  const before = [a, b, c];
+  const after = [{ ...c, title: 'C2' }, a];
+  const changes = diffTaskLists(before, after);
+
+  const undone = applyHistoryChanges({ tasks: after, trash: [] }, changes, 'before');
+  assert.deepEqual(undone.tasks, before);
+  const redone = applyHistoryChanges({ tasks: undone.tasks, trash: [] }, changes, 'after');
+  assert.deepEqual(redone.tasks, after);
+
+  // Tâches ajoutées depuis par une autre action: gardées
+  const later = [{ id: 'new', title: 'New' }, ...after];
+  const merged = ids(applyHistoryChanges({ tasks: later, trash: [] }, changes, 'before').tasks);
+  assert.equal(merged[0], 'new');
+  assert.deepEqual(merged.sort(), ['a', 'b', 'c', 'new']);
+  // Tâche que normalize refuse: ignorée
+  const normalize = task => (task.id === 'b' ? null : task);
+  assert.deepEqual(ids(applyHistoryChanges({ tasks: after, trash: [] }, changes, 'before', { normalize }).tasks), ['a', 'c']);
+});
+
+test('the trash follows undone and replayed deletions', () => {
+  const now = new Date('2026-03-19T10:00:00.000Z');
+  const changes = diffTaskLists([a, b], [a]);
+  changes[0].trashed = true;
+  const trash = [{ ...b, deletedAt: '2026-03-19T09:00:00.000Z' }, { id: 'old', deletedAt: '2026-03-01T09:00:00.000Z' }];
+
+  const undone = applyHistoryChanges({ tasks: [a], trash }, changes, 'before', { now });
+  assert.deepEqual(ids(undone.tasks), ['a', 'b']);
+  assert.deepEqual(ids(undone.trash), ['old']);
+  const redone = applyHistoryChanges(undone, changes, 'after', { now });
+  assert.deepEqual(ids(redone.tasks), ['a']);
+  assert.deepEqual(redone.trash, [{ ...b, deletedAt: now.toISOString() }, trash[1]]);
+
+  // Corbeille inchangée: même tableau
+  const edit = diffTaskLists([a], [{ ...a, title: 'A2' }]);
+  assert.equal(applyHistoryChanges({ tasks: [a], trash }, edit, 'before').trash, trash);
+});
+
+test('the history keeps the latest actions within its limits', () => {
+  const entry = (label, size = 0) => ({ label, changes: [{ id: label, before: null, after: { id: label, notes: 'x'.repeat(size) } }] });
+  let history = { undo: [], redo: [entry('redo')] };
+  for (let index = 0; index < MAX_HISTORY + 5; index += 1) history = pushHistoryEntry(history, entry(`e${index}`));
+  assert.equal(history.undo.length, MAX_HISTORY);
+  assert.equal(history.undo[0].label, 'e5');
+  assert.deepEqual(history.redo, []);
+
+  // Taille totale: les actions les plus anciennes partent
+  const big = Math.floor(MAX_ENTRY_SIZE * 0.9);
+  const stack = Array.from({ length: 8 }, (item, index) => entry(`big${index}`, big));
+  const limited = limitHistoryStack(stack);
+  assert.equal(limited.length, Math.floor(MAX_HISTORY_SIZE / big));
+  assert.equal(limited[limited.length - 1].label, 'big7');
+  assert.ok(JSON.stringify(limited).length <= MAX_HISTORY_SIZE);
+
+  // Action trop grosse: historique vidé
+  assert.deepEqual(pushHistoryEntry(history, entry('huge', MAX_ENTRY_SIZE)), { undo: [], redo: [] });
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeHtml, renderMarkdown } from '../markdown.js';
+
+test('escapeHtml neutralises HTML special characters', () => {
+  assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+});
+
+test('paragraphs, emphasis and inline code', () => {
+  assert.equal(
+    renderMarkdown('Hello **world** and *you*\nsecond `a*b*c` line\n\n_next_'),
+    '<p>Hello <strong>world</strong> and <em>you</em><br>second <code>a*b*c</code> line</p><p><em>next</em></p>',
+  );
+});
+
+test('bullet and numbered lists', () => {
+  assert.equal(renderMarkdown('- one\n- two\n1. first\n2. second'), '<ul><li>one</li><li>two</li></ul><ol><li>first</li><li>second</li></ol>');
+});
+
+test('fenced code blocks are escaped verbatim', () => {
+  assert.equal(renderMarkdown('```\n<b>**x**</b>\n```'), '<pre><code>&lt;b&gt;**x**&lt;/b&gt;</code></pre>');
+});
+
+test('links keep only http(s) and mailto targets', () => {
+  assert.equal(
+    renderMarkdown('[site](https://example.com/?a=1&b=2)'),
+    '<p><a href="https://example.com/?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">site</a></p>',
+  );
+  assert.equal(renderMarkdown('[clic](javascript:alert%281%29)'), '<p>clic</p>');
+  assert.equal(renderMarkdown('[x](data:text/html,hi)'), '<p>x</p>');
+});
+
+test('underscores and stars in a link address are not emphasis', () => {
+  assert.equal(
+    renderMarkdown('[doc](https://x.test/_a_/b_c) and [*star*](https://x.test/*p*) _after_'),
+    '<p><a href="https://x.test/_a_/b_c" target="_blank" rel="noopener noreferrer">doc</a> and '
+      + '<a href="https://x.test/*p*" target="_blank" rel="noopener noreferrer"><em>star</em></a> <em>after</em></p>',
+  );
+});
+
+test('raw HTML and attribute injection stay inert', () => {
+  const html = renderMarkdown('<script>alert(1)</script> <img src=x onerror=alert(1)> [a](https://x.test/"onmouseover="alert(1))');
+  assert.equal(html.includes('<script'), false);
+  assert.equal(html.includes('<img'), false);
+  assert.equal(html.includes('"onmouseover'), false);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { migrate, MigrationError, readVersion, SCHEMA_VERSION } from '../migrations.js';
+
+const fixture = name => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+test('a v1 backup is upgraded step by step to the current schema', () => {
+  const backup = fixture('backup-v1.json');
+  const { data, version, applied } = migrate(backup, backup.version);
+  assert.equal(version, SCHEMA_VERSION);
+  assert.equal(data.version, SCHEMA_VERSION);
+  assert.deepEqual(applied, ['v2: Local due/defer dates and explicit manual order']);
+
+  const tasks = data.tasksByUser.alice;
+  // Ordre manuel: celui du tri "Manual" avant migration (plus récentes d'abord)
+  assert.deepEqual(tasks.map(task => [task.id, task.order]), [['t1', 2], ['t2', 0], ['t3', 1]]);
+  assert.equal(tasks[1].dueAt, '2026-03-20');
+  assert.equal(tasks[1].deferUntil, '2026-03-15');
+  assert.equal('dueAt' in tasks[2], false);
+  assert.deepEqual(tasks[0].tags, ['home']);
+  assert.equal(data.trashByUser.alice[0].order, 0);
+
+  // Le reste de la sauvegarde est conservé tel quel, l'original n'est pas modifié
+  assert.deepEqual(data.users, backup.users);
+  assert.deepEqual(data.viewsByUser, backup.viewsByUser);
+  assert.equal(backup.tasksByUser.alice[0].order, undefined);
+});
+
+test('current data is left untouched and missing versions count as v1', () => {
+  const { data: upgraded } = migrate(fixture('backup-v1.json'), 1);
+  const again = migrate(upgraded, upgraded.version);
+  assert.deepEqual(again.applied, []);
+  assert.deepEqual(again.data, upgraded);
+  assert.equal(readVersion(undefined), 1);
+  assert.equal(readVersion('2'), 2);
+  // Stockage vide (nouvelle installation)
+  assert.deepEqual(migrate({}, undefined).data, { version: SCHEMA_VERSION });
+});
+
+test('newer or unknown versions are refused with a clear message', () => {
+  const newer = { ...fixture('backup-v1.json'), version: SCHEMA_VERSION + 1 };
+  assert.throws(() => migrate(newer, newer.version), error => {
+    assert.ok(error instanceof MigrationError);
+    assert.equal(error.version, SCHEMA_VERSION + 1);
+    assert.match(error.message, new RegExp(`newer version of the app \\(schema v${SCHEMA_VERSION + 1}\\)`));
+    return true;
+  });
+  assert.throws(() => migrate({}, 'beta'), MigrationError);
+  assert.throws(() => migrate({}, 0), MigrationError);
+});
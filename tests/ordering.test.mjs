@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compareOrder, getTopOrder, moveInOrder, normalizeOrder, sortByOrder } from '../ordering.js';
+
+const ids = tasks => tasks.map(task => task.id);
+
+const fixtures = [
+  { id: 'a', order: 1, createdAt: '2026-03-01T10:00:00.000Z' },
+  { id: 'b', order: 0, createdAt: '2026-03-02T10:00:00.000Z' },
+  { id: 'old', createdAt: '2026-02-01T10:00:00.000Z' },
+  { id: 'legacy', createdAt: '2026-02-15T10:00:00.000Z' },
+  { id: 'c', order: 2, createdAt: '2026-03-03T10:00:00.000Z' },
+];
+
+test('normalizeOrder keeps finite numbers only', () => {
+  assert.equal(normalizeOrder(3), 3);
+  assert.equal(normalizeOrder(-1.5), -1.5);
+  assert.equal(normalizeOrder('4'), 4);
+  assert.equal(normalizeOrder(''), undefined);
+  assert.equal(normalizeOrder(Number.NaN), undefined);
+  assert.equal(normalizeOrder(Infinity), undefined);
+  assert.equal(normalizeOrder(null), undefined);
+});
+
+test('tasks without an order come after, newest first', () => {
+  assert.deepEqual(ids(sortByOrder(fixtures)), ['b', 'a', 'c', 'legacy', 'old']);
+  assert.equal(compareOrder({}, {}), 0);
+  assert.equal(compareOrder({ order: 5 }, {}), -1);
+});
+
+test('a new task goes on top without touching the others', () => {
+  assert.equal(getTopOrder(fixtures), -1);
+  assert.equal(getTopOrder([{ id: 'x' }]), 0);
+  assert.equal(getTopOrder([]), 0);
+  const withNew = [{ id: 'new', order: getTopOrder(fixtures), createdAt: '2026-01-01T00:00:00.000Z' }, ...fixtures];
+  assert.deepEqual(ids(sortByOrder(withNew)), ['new', 'b', 'a', 'c', 'legacy', 'old']);
+});
+
+test('moveInOrder only changes the order of the moved task', () => {
+  const moved = moveInOrder(fixtures, 'old', 'a', 'before');
+  assert.deepEqual(ids(moved), ids(fixtures));
+  assert.deepEqual(ids(sortByOrder(moved)), ['b', 'old', 'a', 'c', 'legacy']);
+  assert.deepEqual(moved.map(task => task.order), [1, 0, 0.5, undefined, 2]);
+  // Les autres tâches gardent le même objet
+  assert.deepEqual(moved.filter((task, index) => task !== fixtures[index]).map(task => task.id), ['old']);
+
+  const last = moveInOrder(fixtures, 'b', 'c', 'after');
+  assert.deepEqual(ids(sortByOrder(last)), ['a', 'c', 'b', 'legacy', 'old']);
+  assert.deepEqual(last.map(task => task.order), [1, 3, undefined, undefined, 2]);
+  const first = moveInOrder(fixtures, 'c', 'b', 'before');
+  assert.deepEqual(last.concat(first).filter(task => !fixtures.includes(task)).map(task => task.id), ['b', 'c']);
+  assert.equal(first[4].order, -1);
+
+  assert.equal(moveInOrder(fixtures, 'a', 'a'), fixtures);
+  assert.equal(moveInOrder(fixtures, 'a', 'missing'), fixtures);
+  // Déjà juste avant la cible: rien ne change
+  assert.equal(moveInOrder(fixtures, 'b', 'a', 'before'), fixtures);
+});
+
+test('moveInOrder renumbers when there is no room left between the neighbours', () => {
+  const tight = [
+    { id: 'x', order: 0 },
+    { id: 'y', order: 0.0000001 },
+    { id: 'z', order: 1 },
+  ];
+  const moved = moveInOrder(tight, 'z', 'y', 'before', { updatedAt: '2026-03-19T10:00:00.000Z' });
+  assert.deepEqual(ids(sortByOrder(moved)), ['x', 'z', 'y']);
+  assert.deepEqual(moved.map(task => task.order), [0, 2, 1]);
+  assert.equal(moved[0], tight[0]);
+  // Seules les tâches renumérotées sont datées
+  assert.deepEqual(moved.map(task => task.updatedAt), [undefined, '2026-03-19T10:00:00.000Z', undefined]);
+
+  // Parmi des tâches sans ordre: elles en reçoivent un
+  const legacy = moveInOrder(fixtures, 'a', 'legacy', 'after');
+  assert.deepEqual(ids(sortByOrder(legacy)), ['b', 'c', 'legacy', 'a', 'old']);
+  assert.deepEqual(legacy.map(task => task.order), [3, 0, 4, 2, 1]);
+});
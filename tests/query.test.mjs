@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { evaluateQuery, getHighlightTerms, parseQuery, QueryError, revealsStatus } from '../query.js';
+
+const today = '2026-03-19';
+const fixtures = [
+  { id: 'a', title: 'Rapport mensuel', completed: false, createdAt: '2026-01-10T10:00:00', dueAt: '2026-03-18', priority: 'high', tags: ['work'], project: 'Équipe' },
+  { id: 'b', title: 'Courses', completed: true, createdAt: '2025-12-01T10:00:00', dueAt: '2026-03-19', priority: 'low', tags: ['home'], archivedAt: '2026-03-19T08:00:00' },
+  { id: 'c', title: 'Appeler le garage', completed: false, createdAt: '2026-02-01T10:00:00', dueAt: undefined, priority: 'med', tags: ['Work', 'car'], deferUntil: '2026-03-19' },
+  { id: 'd', title: 'Préparer réunion', completed: false, createdAt: '2026-03-01T10:00:00', dueAt: '2026-03-25', priority: undefined, tags: [], recurrence: { freq: 'weekly', interval: 1 }, deferUntil: '2026-03-22' },
+];
+
+function run(text) {
+  const query = parseQuery(text);
+  return fixtures.filter(task => evaluateQuery(query, task, { today })).map(task => task.id);
+}
+
+test('example query combines due, priority, status, tag and created', () => {
+  assert.deepEqual(run('due:<today priority:high -completed tag:work created:>2026-01-01'), ['a']);
+});
+
+test('due supports keywords, operators and none', () => {
+  assert.deepEqual(run('due:today'), ['b']);
+  assert.deepEqual(run('due:>=today'), ['b', 'd']);
+  assert.deepEqual(run('due:none'), ['c']);
+  assert.deepEqual(run('-due:none due:<=tomorrow'), ['a', 'b']);
+});
+
+test('priority compares by rank high > med > low > none', () => {
+  assert.deepEqual(run('priority:>=med'), ['a', 'c']);
+  assert.deepEqual(run('priority:none'), ['d']);
+  assert.deepEqual(run('priority:medium'), ['c']);
+});
+
+test('tag and project match case- and accent-insensitively', () => {
+  assert.deepEqual(run('tag:WORK'), ['a', 'c']);
+  assert.deepEqual(run('project:equipe'), ['a']);
+  assert.deepEqual(run('-tag:work -tag:home'), ['d']);
+});
+
+test('status keywords and is: form are equivalent', () => {
+  assert.deepEqual(run('completed'), ['b']);
+  assert.deepEqual(run('is:active overdue'), ['a']);
+  assert.deepEqual(run('recurring'), ['d']);
+  assert.deepEqual(run('is:archived'), ['b']);
+  assert.deepEqual(run('-archived completed'), []);
+  assert.deepEqual(run('deferred'), ['d']);
+  assert.deepEqual(run('is:active -deferred'), ['a', 'c']);
+});
+
+test('bare and quoted words search title text', () => {
+  assert.deepEqual(run('reunion'), ['d']);
+  assert.deepEqual(run('"completed"'), []);
+  assert.deepEqual(run('-garage -courses'), ['a', 'd']);
+  assert.deepEqual(getHighlightTerms(parseQuery('Réunion -garage tag:work')), ['reunion']);
+});
+
+test('quoted values may contain spaces', () => {
+  const query = parseQuery('project:"Big launch"');
+  assert.equal(evaluateQuery(query, { title: 'x', project: 'big LAUNCH', tags: [] }, { today }), true);
+});
+
+test('words with a colon that is not a field are searched as text', () => {
+  const meeting = { title: 'Call re:budget at 10:30', tags: [] };
+  assert.equal(evaluateQuery(parseQuery('10:30'), meeting, { today }), true);
+  assert.equal(evaluateQuery(parseQuery('RE:Budget'), meeting, { today }), true);
+  assert.equal(evaluateQuery(parseQuery('-11:00'), meeting, { today }), true);
+  assert.equal(evaluateQuery(parseQuery('foo:bar'), meeting, { today }), false);
+  assert.deepEqual(parseQuery('foo:"a b"').clauses, [{ type: 'text', negate: false, term: 'foo:a b' }]);
+  assert.deepEqual(getHighlightTerms(parseQuery('10:30 tag:work')), ['10:30']);
+});
+
+test('malformed queries throw QueryError with a clear message', () => {
+  assert.throws(() => parseQuery('due:'), /Missing value after "due:"/);
+  assert.throws(() => parseQuery('due:<2026-02-30'), /Invalid date "2026-02-30"/);
+  assert.throws(() => parseQuery('priority:urgent'), /Unknown priority "urgent"/);
+  assert.throws(() => parseQuery('tag:>work'), /Operator ">" is not supported for "tag"/);
+  assert.throws(() => parseQuery('is:late'), /Unknown status "late"/);
+  assert.throws(() => parseQuery('title "open'), error => error instanceof QueryError && error.position === 6);
+});
+
+test('only text searches and explicit status clauses reach archived or deferred tasks', () => {
+  assert.equal(revealsStatus(parseQuery('garage'), 'archived'), true);
+  assert.equal(revealsStatus(parseQuery('garage'), 'deferred'), true);
+  assert.equal(revealsStatus(parseQuery('priority:high tag:work'), 'archived'), false);
+  assert.equal(revealsStatus(parseQuery('-garage'), 'deferred'), false);
+  assert.equal(revealsStatus(parseQuery('is:archived'), 'archived'), true);
+  assert.equal(revealsStatus(parseQuery('archived'), 'deferred'), false);
+  assert.equal(revealsStatus(parseQuery('-is:deferred'), 'deferred'), true);
+  assert.equal(revealsStatus(null, 'archived'), false);
+});
+
+test('empty query matches everything', () => {
+  assert.deepEqual(run('   '), ['a', 'b', 'c', 'd']);
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  formatRecurrence,
+  nextOccurrence,
+  nextOccurrenceDate,
+  normalizeRecurrence,
+  projectOccurrences,
+} from '../recurrence.js';
+
+test('normalizeRecurrence rejects unknown frequencies and cleans values', () => {
+  assert.equal(normalizeRecurrence({ freq: 'yearly' }), undefined);
+  assert.equal(normalizeRecurrence(null), undefined);
+  assert.deepEqual(
+    normalizeRecurrence({ freq: 'weekly', interval: '0', weekdays: ['4', 1, 9, 1], until: 'soon', count: '3' }),
+    { freq: 'weekly', interval: 1, weekdays: [1, 4], count: 3 },
+  );
+});
+
+test('daily rule adds the interval in days', () => {
+  assert.equal(nextOccurrenceDate('2026-03-30', { freq: 'daily', interval: 3 }), '2026-04-02');
+});
+
+test('weekly rule picks the next chosen weekday', () => {
+  // 2026-03-19 is a Thursday; Mon+Thu weekly → next Monday
+  const rule = { freq: 'weekly', interval: 1, weekdays: [1, 4] };
+  assert.equal(nextOccurrenceDate('2026-03-19', rule), '2026-03-23');
+  assert.equal(nextOccurrenceDate('2026-03-23', rule), '2026-03-26');
+});
+
+test('weekly rule with interval skips whole weeks', () => {
+  const rule = { freq: 'weekly', interval: 2, weekdays: [1, 4] };
+  assert.equal(nextOccurrenceDate('2026-03-16', rule), '2026-03-19');
+  assert.equal(nextOccurrenceDate('2026-03-19', rule), '2026-03-30');
+});
+
+test('monthly rule on day N clamps to the end of short months', () => {
+  const rule = { freq: 'monthly', interval: 1, monthDay: 31 };
+  assert.equal(nextOccurrenceDate('2026-01-31', rule), '2026-02-28');
+  assert.equal(nextOccurrenceDate('2026-02-28', rule), '2026-03-31');
+  assert.equal(nextOccurrenceDate('2026-03-05', { freq: 'monthly', interval: 1, monthDay: 15 }), '2026-03-15');
+});
+
+test('nextOccurrence stops at until and count', () => {
+  const base = { dueAt: '2026-03-19', occurrence: 1 };
+  assert.equal(nextOccurrence({ ...base, recurrence: { freq: 'daily', interval: 1, until: '2026-03-19' } }), null);
+  assert.equal(nextOccurrence({ ...base, occurrence: 3, recurrence: { freq: 'daily', interval: 1, count: 3 } }), null);
+  assert.deepEqual(
+    nextOccurrence({ ...base, recurrence: { freq: 'daily', interval: 1, count: 3 } }),
+    { dueAt: '2026-03-20', occurrence: 2 },
+  );
+});
+
+test('projectOccurrences lists upcoming dates inside the range', () => {
+  const task = { dueAt: '2026-03-16', occurrence: 1, recurrence: { freq: 'daily', interval: 2, count: 3 } };
+  const result = projectOccurrences(task, '2026-03-16', '2026-03-22').map(o => o.dueAt);
+  assert.deepEqual(result, ['2026-03-18', '2026-03-20']);
+});
+
+test('formatRecurrence describes the rule', () => {
+  assert.equal(formatRecurrence({ freq: 'weekly', interval: 2, weekdays: [1, 4] }), 'Repeats every 2 weeks on Mon, Thu');
+  assert.equal(formatRecurrence({ freq: 'monthly', interval: 1, monthDay: 5, count: 2 }), 'Repeats monthly on day 5 (2 times)');
+});
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  dismissReminder,
+  formatReminder,
+  getDueReminders,
+  getFiredReminders,
+  getReminderTime,
+  getUpcomingReminders,
+  markReminderFired,
+  normalizeReminder,
+  normalizeReminderAt,
+  reminderForOccurrence,
+  reminderForReschedule,
+  snoozeReminder,
+  splitBeforeMinutes,
+  toBeforeMinutes,
+} from '../reminders.js';
+
+const at = (iso, time) => {
+  const [year, month, day] = iso.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes).getTime();
+};
+
+test('normalizeReminder keeps a valid rule and its state', () => {
+  assert.deepEqual(normalizeReminder({ before: '15' }), { before: 15 });
+  assert.deepEqual(normalizeReminder({ at: '2026-03-19T9:05:30' }), { at: '2026-03-19T09:05' });
+  assert.deepEqual(
+    normalizeReminder({ before: 0, firedAt: '2026-03-19T08:00:00.000Z', snoozedUntil: 'later', dismissed: 'yes' }),
+    { before: 0, firedAt: '2026-03-19T08:00:00.000Z' },
+  );
+  assert.equal(normalizeReminder({ at: '2026-02-30T10:00' }), undefined);
+  assert.equal(normalizeReminder({ before: -5 }), undefined);
+  assert.equal(normalizeReminder({ before: 1.5 }), undefined);
+  assert.equal(normalizeReminder(null), undefined);
+  assert.equal(normalizeReminderAt('2026-03-19T24:00'), undefined);
+});
+
+test('offsets convert between amount/unit and minutes', () => {
+  assert.equal(toBeforeMinutes('2', 'hours'), 120);
+  assert.equal(toBeforeMinutes(1, 'days'), 1440);
+  assert.equal(toBeforeMinutes(1, 'weeks'), undefined);
+  assert.equal(toBeforeMinutes(400, 'days'), undefined);
+  assert.equal(toBeforeMinutes('', 'minutes'), undefined);
+  assert.deepEqual(splitBeforeMinutes(90), { amount: 90, unit: 'minutes' });
+  assert.deepEqual(splitBeforeMinutes(120), { amount: 2, unit: 'hours' });
+  assert.deepEqual(splitBeforeMinutes(2880), { amount: 2, unit: 'days' });
+  assert.equal(formatReminder({ before: 60 }), '1 hour before');
+  assert.equal(formatReminder({ before: 30 }), '30 minutes before');
+  assert.equal(formatReminder({ before: 0 }), 'At due time');
+});
+
+test('reminder time follows due date, start time and snooze', () => {
+  const task = { dueAt: '2026-03-19', reminder: { before: 30 } };
+  assert.equal(getReminderTime(task), at('2026-03-19', '08:30'));
+  assert.equal(getReminderTime({ ...task, startTime: '14:00' }), at('2026-03-19', '13:30'));
+  assert.equal(getReminderTime({ reminder: { before: 30 } }), undefined);
+  assert.equal(getReminderTime({ reminder: { at: '2026-03-18T20:15' } }), at('2026-03-18', '20:15'));
+  const snoozed = { ...task, reminder: { before: 30, snoozedUntil: new Date(at('2026-03-19', '10:00')).toISOString() } };
+  assert.equal(getReminderTime(snoozed), at('2026-03-19', '10:00'));
+});
+
+test('due reminders fire once, then snooze brings them back without moving the due date', () => {
+  const now = at('2026-03-19', '08:45');
+  const tasks = [
+    { id: 'a', dueAt: '2026-03-19', reminder: { before: 30 } },
+    { id: 'b', dueAt: '2026-03-19', reminder: { before: 30 }, completed: true },
+    { id: 'c', dueAt: '2026-03-20', reminder: { before: 0 } },
+    { id: 'd', dueAt: '2026-03-19' },
+  ];
+  assert.deepEqual(getDueReminders(tasks, now).map(task => task.id), ['a']);
+  assert.deepEqual(getUpcomingReminders(tasks, now).map(task => task.id), ['c']);
+
+  const fired = { ...tasks[0], reminder: markReminderFired(tasks[0].reminder, now) };
+  assert.deepEqual(getDueReminders([fired], now), []);
+  assert.deepEqual(getFiredReminders([fired]).map(task => task.id), ['a']);
+  assert.deepEqual(getFiredReminders([{ ...fired, reminder: dismissReminder(fired.reminder) }]), []);
+
+  const snoozed = { ...fired, reminder: snoozeReminder(fired.reminder, 10, now) };
+  assert.equal(snoozed.dueAt, '2026-03-19');
+  assert.deepEqual(getFiredReminders([snoozed]), []);
+  assert.deepEqual(getDueReminders([snoozed], now + 9 * 60000), []);
+  assert.deepEqual(getDueReminders([snoozed], now + 10 * 60000).map(task => task.id), ['a']);
+
+  // Repousser l'échéance remet un rappel déjà sonné en attente
+  assert.deepEqual(getDueReminders([{ ...fired, dueAt: '2026-03-21' }], at('2026-03-21', '08:30')).map(task => task.id), ['a']);
+});
+
+test('the next occurrence gets a fresh rule, shifted when it is at a fixed time', () => {
+  const fired = { at: '2026-03-18T20:00', firedAt: '2026-03-18T19:00:00.000Z', dismissed: true };
+  assert.deepEqual(reminderForOccurrence(fired, '2026-03-19', '2026-03-26'), { at: '2026-03-25T20:00' });
+  assert.deepEqual(reminderForOccurrence({ before: 15, snoozedUntil: '2026-03-19T08:00:00.000Z' }, '2026-03-19', '2026-04-19'), { before: 15 });
+  assert.equal(reminderForOccurrence(undefined, '2026-03-19', '2026-03-20'), undefined);
+});
+
+test('a new due date drops the snooze of a reminder relative to it', () => {
+  const snoozed = { before: 15, firedAt: '2026-03-19T07:45:00.000Z', snoozedUntil: '2026-03-19T08:30:00.000Z' };
+  assert.deepEqual(reminderForReschedule(snoozed), { before: 15 });
+  const task = { id: 'a', dueAt: '2026-03-21', reminder: reminderForReschedule(snoozed) };
+  assert.equal(getReminderTime(task), at('2026-03-21', '08:45'));
+  // Heure fixe: indépendante de l'échéance
+  const fixed = { at: '2026-03-20T18:00', snoozedUntil: '2026-03-20T17:30:00.000Z' };
+  assert.equal(reminderForReschedule(fixed), fixed);
+  assert.equal(reminderForReschedule(undefined), undefined);
+});
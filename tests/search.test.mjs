@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findMatchRanges, foldText, matchesSearch, parseSearchTerms } from '../search.js';
+
+test('foldText lowercases and strips French accents', () => {
+  assert.equal(foldText('Élève À Noël').folded, 'eleve a noel');
+  assert.equal(foldText('Cœur').folded, 'coeur');
+});
+
+test('matchesSearch requires every term in title or description', () => {
+  const task = { title: 'Préparer la réunion', description: 'Ordre du jour + café' };
+  assert.equal(matchesSearch(task, parseSearchTerms('reunion CAFE')), true);
+  assert.equal(matchesSearch(task, parseSearchTerms('reunion thé')), false);
+  assert.equal(matchesSearch(task, parseSearchTerms('   ')), true);
+});
+
+test('findMatchRanges maps folded matches back to the original text', () => {
+  assert.deepEqual(findMatchRanges('Réunion équipe', parseSearchTerms('reu equi')), [[0, 3], [8, 12]]);
+  // La ligature "œ" compte pour deux caractères pliés mais un seul d'origine
+  assert.deepEqual(findMatchRanges('Sœur', parseSearchTerms('oeu')), [[1, 3]]);
+});
+
+test('findMatchRanges merges overlapping ranges', () => {
+  assert.deepEqual(findMatchRanges('banana', parseSearchTerms('ana nan')), [[1, 6]]);
+});
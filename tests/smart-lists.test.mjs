@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatDayLabel, getUpcomingDate, groupByDay, isDeferred, matchesSmartList } from '../smart-lists.js';
+
+const today = '2026-03-19';
+const fixtures = [
+  { id: 'late', dueAt: '2026-03-17' },
+  { id: 'now', dueAt: '2026-03-19' },
+  { id: 'soon', dueAt: '2026-03-21' },
+  { id: 'edge', dueAt: '2026-03-26' },
+  { id: 'far', dueAt: '2026-03-27' },
+  { id: 'none' },
+  { id: 'done', dueAt: '2026-03-10', completed: true },
+  { id: 'deferred', deferUntil: '2026-03-22', dueAt: '2026-04-02' },
+];
+
+function list(name) {
+  return fixtures.filter(task => matchesSmartList(task, name, today)).map(task => task.id);
+}
+
+test('today includes overdue tasks, overdue only past ones', () => {
+  assert.deepEqual(list('today'), ['late', 'now']);
+  assert.deepEqual(list('overdue'), ['late']);
+});
+
+test('upcoming covers the next 7 days, deferred tasks by their defer date', () => {
+  assert.deepEqual(list('upcoming'), ['soon', 'edge', 'deferred']);
+  assert.equal(getUpcomingDate(fixtures[7], today), '2026-03-22');
+  assert.equal(getUpcomingDate(fixtures[7], '2026-03-22'), '2026-04-02');
+  assert.equal(isDeferred(fixtures[7], '2026-03-21'), true);
+  assert.equal(isDeferred(fixtures[7], '2026-03-22'), false);
+});
+
+test('no date lists open tasks without a due date', () => {
+  assert.deepEqual(list('nodate'), ['none']);
+  assert.deepEqual(fixtures.filter(task => matchesSmartList(task, 'unknown', today)), []);
+});
+
+test('groupByDay keeps task order inside chronological groups', () => {
+  const tasks = [
+    { id: 'b', dueAt: '2026-03-21' },
+    { id: 'a', dueAt: '2026-03-20' },
+    { id: 'c', dueAt: '2026-03-21' },
+  ];
+  const groups = groupByDay(tasks, task => task.dueAt, today);
+  assert.deepEqual(groups.map(group => [group.date, group.tasks.map(task => task.id)]), [
+    ['2026-03-20', ['a']],
+    ['2026-03-21', ['b', 'c']],
+  ]);
+  assert.equal(groups[0].label, 'Tomorrow');
+  assert.equal(formatDayLabel('', today), 'No date');
+  assert.equal(formatDayLabel(today, today), 'Today');
+});
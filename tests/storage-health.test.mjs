@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  formatBytes,
+  getAccountOfKey,
+  getUsageByAccount,
+  guardWrites,
+  isNearlyFull,
+  isQuotaError,
+  LOCAL_STORAGE_QUOTA,
+} from '../storage-health.js';
+
+// Erreur levée par localStorage.setItem quand le quota est atteint
+function quotaError(name = 'QuotaExceededError', code = 22) {
+  const error = new Error('The quota has been exceeded.');
+  error.name = name;
+  error.code = code;
+  return error;
+}
+
+test('quota errors are recognised across browsers', () => {
+  assert.equal(isQuotaError(quotaError()), true);
+  assert.equal(isQuotaError(quotaError('NS_ERROR_DOM_QUOTA_REACHED', 1014)), true);
+  assert.equal(isQuotaError(quotaError('Error', 22)), true);
+  assert.equal(isQuotaError(new TypeError('nope')), false);
+  assert.equal(isQuotaError(null), false);
+});
+
+test('guarded writes report failures instead of throwing', () => {
+  const written = new Map();
+  const adapter = {
+    kind: 'localStorage',
+    getItem: key => written.get(key) || null,
+    setItem(key, value) {
+      if (value.length > 10) throw quotaError();
+      written.set(key, value);
+    },
+    removeItem: key => written.delete(key),
+    setTasks(key, tasks) {
+      this.setItem(key, JSON.stringify(tasks));
+    },
+  };
+  const failures = [];
+  const guarded = guardWrites(adapter, (error, key) => failures.push([error.name, key]));
+  assert.equal(guarded.setItem('todo.users.v1', '{}'), true);
+  assert.equal(guarded.setItem('todo.users.v1', '{"alice":{}}'), false);
+  assert.equal(guarded.setTasks('todo.tasks.v1.alice', [{ id: 'a', title: 'A' }]), false);
+  assert.equal(guarded.getItem('todo.users.v1'), '{}');
+  assert.equal(guarded.kind, 'localStorage');
+  assert.deepEqual(failures, [['QuotaExceededError', 'todo.users.v1'], ['QuotaExceededError', 'todo.tasks.v1.alice']]);
+});
+
+test('usage is grouped by account, shared keys apart', () => {
+  assert.equal(getAccountOfKey('todo.tasks.v1.alice'), 'alice');
+  assert.equal(getAccountOfKey('todo.board.v1.u-1.x'), 'u-1.x');
+  assert.equal(getAccountOfKey('todo.users.v1'), null);
+  assert.equal(getAccountOfKey('todo.schema.version'), null);
+  const usage = getUsageByAccount([
+    ['todo.users.v1', 100],
+    ['todo.session.v1', 20],
+    ['todo.tasks.v1.alice', 1000],
+    ['todo.trash.v1.alice', 300],
+    ['todo.tasks.v1.bob', 50],
+  ]);
+  assert.deepEqual(usage, { total: 1470, shared: 120, byAccount: { alice: 1300, bob: 50 } });
+});
+
+test('nearly full from 80% of a known quota', () => {
+  assert.equal(isNearlyFull(LOCAL_STORAGE_QUOTA * 0.79, LOCAL_STORAGE_QUOTA), false);
+  assert.equal(isNearlyFull(LOCAL_STORAGE_QUOTA * 0.8, LOCAL_STORAGE_QUOTA), true);
+  assert.equal(isNearlyFull(10, 0), false);
+  assert.equal(isNearlyFull(10, null), false);
+});
+
+test('formatBytes prints readable sizes', () => {
+  assert.equal(formatBytes(0), '0 B');
+  assert.equal(formatBytes(512), '512 B');
+  assert.equal(formatBytes(1536), '1.5 KB');
+  assert.equal(formatBytes(LOCAL_STORAGE_QUOTA), '5.0 MB');
+  assert.equal(formatBytes(300 * 1024 * 1024), '300 MB');
+});
@@ -0,0 +1,311 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createIndexedDBAdapter,
+  createLocalStorageAdapter,
+  diffTaskList,
+  isTaskListKey,
+  MIGRATION_KEY,
+  openStorage,
+  readLegacyEntries,
+} from '../storage.js';
+
+// Équivalent minimal de window.localStorage
+function createMemoryStorage(entries = {}) {
+  const data = new Map(Object.entries(entries));
+  return {
+    get length() { return data.size; },
+    key: index => Array.from(data.keys())[index] || null,
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key),
+  };
+}
+
+test('the localStorage adapter keeps each task list as one JSON array', () => {
+  const storage = createMemoryStorage();
+  const adapter = createLocalStorageAdapter(storage);
+  assert.equal(adapter.getTasks('todo.tasks.v1.alice'), null);
+  adapter.setTasks('todo.tasks.v1.alice', [{ id: 'a', title: 'A' }]);
+  assert.equal(storage.getItem('todo.tasks.v1.alice'), '[{"id":"a","title":"A"}]');
+  assert.deepEqual(adapter.getTasks('todo.tasks.v1.alice'), [{ id: 'a', title: 'A' }]);
+  adapter.setItem('todo.users.v1', '{}');
+  assert.equal(adapter.getItem('todo.users.v1'), '{}');
+  adapter.removeItem('todo.users.v1');
+  assert.equal(adapter.getItem('todo.users.v1'), null);
+  storage.setItem('todo.tasks.v1.bob', '{broken');
+  assert.throws(() => adapter.getTasks('todo.tasks.v1.bob'), SyntaxError);
+  storage.setItem('other.app', 'ignored');
+  // Taille en UTF-16 (clé + valeur), clés de l'application seulement
+  assert.deepEqual(adapter.measure(), [['todo.tasks.v1.alice', 2 * (19 + 24)], ['todo.tasks.v1.bob', 2 * (17 + 7)]]);
+});
+
+test('legacy entries split app values from task lists', () => {
+  const storage = createMemoryStorage({
+    'todo.users.v1': '{"alice":{}}',
+    'todo.tasks.v1.alice': '[{"id":"a"},{"title":"no id"},{"id":"b"}]',
+    'todo.tasks.v1.bob': 'not json',
+    'todo.settings.v1.alice': '{"layout":"board"}',
+    'other.app': 'ignored',
+  });
+  const { values, taskLists } = readLegacyEntries(storage);
+  assert.deepEqual(values, [['todo.users.v1', '{"alice":{}}'], ['todo.settings.v1.alice', '{"layout":"board"}']]);
+  assert.deepEqual(taskLists, [['todo.tasks.v1.alice', [{ id: 'a' }, { id: 'b' }]]]);
+  assert.equal(isTaskListKey('todo.tasks.v1.alice'), true);
+  assert.equal(isTaskListKey('todo.tasks.v1.'), false);
+  assert.equal(isTaskListKey('todo.trash.v1.alice'), false);
+});
+
+test('diffTaskList only writes tasks that changed', () => {
+  const a = { id: 'a', title: 'A' };
+  const b = { id: 'b', title: 'B' };
+  const c = { id: 'c', title: 'C' };
+  assert.deepEqual(diffTaskList([a, b], [a, b]), { put: [], remove: [], idsChanged: false });
+  // Même contenu dans un nouvel objet (tâches rechargées): rien à écrire
+  assert.deepEqual(diffTaskList([a, b], [{ ...a }, b]), { put: [], remove: [], idsChanged: false });
+
+  const edited = { ...b, title: 'B2' };
+  assert.deepEqual(diffTaskList([a, b], [a, edited]), { put: [edited], remove: [], idsChanged: false });
+  assert.deepEqual(diffTaskList([a, b], [c, a, b]), { put: [c], remove: [], idsChanged: true });
+  assert.deepEqual(diffTaskList([a, b, c], [a, c]), { put: [], remove: ['b'], idsChanged: true });
+  assert.deepEqual(diffTaskList([a, b], [b, a]), { put: [], remove: [], idsChanged: true });
+});
+
+test('openStorage falls back to localStorage when IndexedDB is missing or fails', async () => {
+  const storage = createMemoryStorage();
+  assert.equal((await openStorage({ localStorage: storage })).kind, 'localStorage');
+
+  const failing = {
+    open() {
+      const request = {};
+      setTimeout(() => {
+        request.error = new Error('denied');
+        request.onerror();
+      }, 0);
+      return request;
+    },
+  };
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal((await openStorage({ indexedDB: failing, localStorage: storage })).kind, 'localStorage');
+  } finally {
+    console.warn = originalWarn;
+  }
+});
+
+// IndexedDB en mémoire, réduit à ce qu'utilise storage.js: les requêtes et les transactions se terminent
+// de façon asynchrone, une transaction n'applique ses écritures qu'à sa validation
+// (failWrites: les transactions en écriture échouent, comme un quota dépassé)
+function createFakeIndexedDB() {
+  const stores = new Map();
+  const connections = [];
+  // Connexion fermée: plus de nouvelle transaction, celles déjà ouvertes sont validées
+  const connect = () => {
+    let closed = false;
+    const db = {
+      objectStoreNames: { contains: name => stores.has(name) },
+      createObjectStore(name, options = {}) {
+        stores.set(name, { keyPath: options.keyPath, records: new Map() });
+      },
+      transaction(names, mode) {
+        if (closed) throw new DOMException('The database connection is closing.', 'InvalidStateError');
+        return createTransaction(mode);
+      },
+      close() {
+        closed = true;
+      },
+    };
+    connections.push(db);
+    return db;
+  };
+  const factory = {
+    failWrites: false,
+    open() {
+      const request = {};
+      setTimeout(() => {
+        request.result = connect();
+        if (stores.size === 0) request.onupgradeneeded();
+        request.onsuccess();
+      }, 0);
+      return request;
+    },
+    // Contenu d'un magasin: [[clé, valeur]]
+    dump: name => Array.from(stores.get(name).records.values()),
+    // Fermeture de l'onglet
+    closeAll: () => connections.forEach(db => db.close()),
+  };
+
+  function createTransaction(mode) {
+    const steps = [];
+    const writes = [];
+    const transaction = {
+      error: null,
+      objectStore(name) {
+        const store = stores.get(name);
+        const keyOf = (value, key) => (store.keyPath ? store.keyPath.map(path => value[path]) : key);
+        const write = (key, value) => writes.push(() => {
+          if (value === undefined) store.records.delete(JSON.stringify(key));
+          else store.records.set(JSON.stringify(key), [key, structuredClone(value)]);
+        });
+        return {
+          put: (value, key) => write(keyOf(value, key), value),
+          delete: key => write(key, undefined),
+          openCursor() {
+            const request = {};
+            // Lu à l'exécution: les transactions précédentes sont déjà validées
+            let entries = null;
+            let index = 0;
+            const step = () => {
+              if (!entries) entries = Array.from(store.records.values());
+              const entry = entries[index];
+              const cursor = entry && {
+                key: entry[0],
+                value: structuredClone(entry[1]),
+                continue() {
+                  index += 1;
+                  steps.push(step);
+                },
+                delete: () => write(entry[0], undefined),
+              };
+              request.onsuccess({ target: { result: cursor || null } });
+            };
+            steps.push(step);
+            return request;
+          },
+        };
+      },
+    };
+    setTimeout(() => {
+      while (steps.length > 0) steps.shift()();
+      if (mode === 'readwrite' && factory.failWrites) {
+        transaction.error = new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        transaction.onerror();
+        return;
+      }
+      writes.forEach(apply => apply());
+      transaction.oncomplete();
+    }, 0);
+    return transaction;
+  }
+
+  return factory;
+}
+
+const taskRecords = indexedDB => indexedDB.dump('tasks').map(([key, record]) => `${key[0]}/${key[1]}:${record.task.title}`).sort();
+
+test('the IndexedDB adapter copies localStorage data once, then removes it from localStorage', async () => {
+  const indexedDB = createFakeIndexedDB();
+  const legacy = createMemoryStorage({
+    'todo.users.v1': '{"alice":{}}',
+    'todo.tasks.v1.alice': '[{"id":"b","title":"B"},{"id":"a","title":"A"}]',
+    'todo.tasks.v1.bob': 'not json',
+    'other.app': 'kept',
+  });
+  const adapter = await createIndexedDBAdapter(indexedDB, legacy);
+  assert.equal(adapter.kind, 'indexedDB');
+  assert.equal(adapter.getItem('todo.users.v1'), '{"alice":{}}');
+  assert.deepEqual(adapter.getTasks('todo.tasks.v1.alice'), [{ id: 'b', title: 'B' }, { id: 'a', title: 'A' }]);
+  // Copie enregistrée: retirée de localStorage (sauf la liste illisible et les clés d'autres applications)
+  assert.equal(legacy.getItem('todo.users.v1'), null);
+  assert.equal(legacy.getItem('todo.tasks.v1.alice'), null);
+  assert.equal(legacy.getItem('todo.tasks.v1.bob'), 'not json');
+  assert.equal(legacy.getItem('other.app'), 'kept');
+  assert.deepEqual(taskRecords(indexedDB), ['todo.tasks.v1.alice/a:A', 'todo.tasks.v1.alice/b:B']);
+
+  // Ouverture suivante: la migration est déjà faite, localStorage n'est plus relu
+  legacy.setItem('todo.users.v1', '{"mallory":{}}');
+  const reopened = await createIndexedDBAdapter(indexedDB, legacy);
+  assert.equal(reopened.getItem('todo.users.v1'), '{"alice":{}}');
+  assert.equal(typeof reopened.getItem(MIGRATION_KEY), 'string');
+  assert.equal(legacy.getItem('todo.users.v1'), '{"mallory":{}}');
+});
+
+test('the IndexedDB adapter writes and deletes single tasks and reloads the list in order', async () => {
+  const indexedDB = createFakeIndexedDB();
+  const adapter = await createIndexedDBAdapter(indexedDB, createMemoryStorage());
+  const key = 'todo.tasks.v1.alice';
+  const a = { id: 'a', title: 'A' };
+  const b = { id: 'b', title: 'B' };
+  const c = { id: 'c', title: 'C' };
+  adapter.setTasks(key, [a, b, c]);
+  await adapter.flush();
+  assert.deepEqual(taskRecords(indexedDB), [`${key}/a:A`, `${key}/b:B`, `${key}/c:C`]);
+
+  adapter.setTasks(key, [c, { ...a, title: 'A2' }]);
+  adapter.setItem('todo.users.v1', '{}');
+  adapter.removeItem('todo.session.v1');
+  await adapter.flush();
+  assert.deepEqual(taskRecords(indexedDB), [`${key}/a:A2`, `${key}/c:C`]);
+
+  const reopened = await createIndexedDBAdapter(indexedDB, createMemoryStorage());
+  assert.deepEqual(reopened.getTasks(key), [c, { ...a, title: 'A2' }]);
+  assert.equal(reopened.getItem('todo.users.v1'), '{}');
+  // La clé d'une liste donne son ordre, pas une valeur texte
+  assert.equal(reopened.getItem(key), null);
+
+  // Liste vidée: elle existe toujours, sans tâche
+  reopened.removeItem(key);
+  await reopened.flush();
+  assert.deepEqual((await createIndexedDBAdapter(indexedDB, createMemoryStorage())).getTasks(key), []);
+});
+
+test('the IndexedDB adapter rewrites the whole list after a failed write', async () => {
+  const indexedDB = createFakeIndexedDB();
+  const errors = [];
+  const adapter = await createIndexedDBAdapter(indexedDB, createMemoryStorage(), 'todo', (error, key) => errors.push([error.name, key]));
+  const key = 'todo.tasks.v1.alice';
+  adapter.setTasks(key, [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }]);
+  await adapter.flush();
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    indexedDB.failWrites = true;
+    adapter.setTasks(key, [{ id: 'b', title: 'B2' }, { id: 'c', title: 'C' }]);
+    await adapter.flush();
+  } finally {
+    console.warn = originalWarn;
+  }
+  assert.deepEqual(errors, [['QuotaExceededError', key]]);
+  // La copie en mémoire garde la liste; la base n'a pas changé
+  assert.deepEqual(adapter.getTasks(key).map(task => task.title), ['B2', 'C']);
+  assert.deepEqual(taskRecords(indexedDB), [`${key}/a:A`, `${key}/b:B`]);
+
+  // Sauvegarde suivante sans changement de contenu: réécriture complète, la tâche supprimée est effacée
+  indexedDB.failWrites = false;
+  adapter.setTasks(key, adapter.getTasks(key).slice());
+  await adapter.flush();
+  assert.deepEqual(taskRecords(indexedDB), [`${key}/b:B2`, `${key}/c:C`]);
+  const reopened = await createIndexedDBAdapter(indexedDB, createMemoryStorage());
+  assert.deepEqual(reopened.getTasks(key).map(task => task.id), ['b', 'c']);
+});
+
+test('loadAll appends tasks missing from the saved order', async () => {
+  const indexedDB = createFakeIndexedDB();
+  const adapter = await createIndexedDBAdapter(indexedDB, createMemoryStorage());
+  const key = 'todo.tasks.v1.alice';
+  adapter.setTasks(key, [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }, { id: 'c', title: 'C' }]);
+  // Ordre enregistré incomplet et avec un identifiant inconnu (écriture interrompue)
+  adapter.setItem(key, '["c","gone","a"]');
+  await adapter.flush();
+  const reopened = await createIndexedDBAdapter(indexedDB, createMemoryStorage());
+  assert.deepEqual(reopened.getTasks(key).map(task => task.id), ['c', 'a', 'b']);
+});
+
+test('IndexedDB writes made back to back are kept when the tab closes right away', async () => {
+  const indexedDB = createFakeIndexedDB();
+  const adapter = await createIndexedDBAdapter(indexedDB, createMemoryStorage());
+  const key = 'todo.tasks.v1.alice';
+  adapter.setTasks(key, [{ id: 'a', title: 'A' }]);
+  // Deuxième sauvegarde pendant que la première transaction est en cours, puis l'onglet se ferme
+  adapter.setTasks(key, [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }]);
+  adapter.setItem('todo.users.v1', '{"alice":{}}');
+  indexedDB.closeAll();
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  const reopened = await createIndexedDBAdapter(indexedDB, createMemoryStorage());
+  assert.deepEqual(reopened.getTasks(key).map(task => task.id), ['a', 'b']);
+  assert.equal(reopened.getItem('todo.users.v1'), '{"alice":{}}');
+});
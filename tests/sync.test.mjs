@@ -0,0 +1,210 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connectTabs, isSameTaskList, mergeTaskLists, SYNC_CHANNEL } from '../sync.js';
+import { moveInOrder } from '../ordering.js';
+
+const task = (id, title, updatedAt = '2026-03-19T08:00:00.000Z') => ({ id, title, updatedAt });
+const titles = list => list.map(item => `${item.id}:${item.title}`);
+
+const base = [task('a', 'A'), task('b', 'B'), task('c', 'C')];
+
+test('changes made in different tasks are all kept', () => {
+  const local = [task('new', 'Local'), task('a', 'A edited', '2026-03-19T09:00:00.000Z'), base[1], base[2]];
+  const remote = [task('b', 'B edited', '2026-03-19T09:30:00.000Z'), base[0]];
+  // remote a supprimé c et déplacé b en tête; local a ajouté une tâche et modifié a
+  assert.deepEqual(titles(mergeTaskLists(base, local, remote)), ['b:B edited', 'new:Local', 'a:A edited']);
+});
+
+test('the latest edit of the same task wins', () => {
+  const early = [task('a', 'A local', '2026-03-19T09:00:00.000Z'), base[1], base[2]];
+  const late = [task('a', 'A remote', '2026-03-19T10:00:00.000Z'), base[1], base[2]];
+  assert.deepEqual(titles(mergeTaskLists(base, early, late)).slice(0, 1), ['a:A remote']);
+  assert.deepEqual(titles(mergeTaskLists(base, late, early)).slice(0, 1), ['a:A remote']);
+});
+
+test('an edit wins over a deletion made in the other tab', () => {
+  const edited = [task('a', 'A edited', '2026-03-19T09:00:00.000Z'), base[1], base[2]];
+  const deleted = [base[1], base[2]];
+  // La tâche gardée reprend sa place, devant sa voisine
+  assert.deepEqual(titles(mergeTaskLists(base, edited, deleted)), ['a:A edited', 'b:B', 'c:C']);
+  assert.deepEqual(titles(mergeTaskLists(base, deleted, edited)), ['a:A edited', 'b:B', 'c:C']);
+  // Supprimée d'un côté, inchangée de l'autre: supprimée
+  assert.deepEqual(titles(mergeTaskLists(base, base, deleted)), ['b:B', 'c:C']);
+  assert.deepEqual(titles(mergeTaskLists(base, deleted, base)), ['b:B', 'c:C']);
+});
+
+test('two tabs editing at the same time converge', () => {
+  // Chaque onglet fusionne avec pour base la dernière liste échangée (envoyée ou reçue)
+  const tabA = [task('new', 'From A', '2026-03-19T09:00:00.000Z'), ...base];
+  const tabB = [task('a', 'A done', '2026-03-19T09:01:00.000Z'), base[1], base[2]];
+  const mergedB = mergeTaskLists(base, tabB, tabA);
+  const mergedA = mergeTaskLists(base, tabA, tabB);
+  assert.deepEqual(titles(mergedA), titles(mergedB));
+  assert.deepEqual(titles(mergedA), ['new:From A', 'a:A done', 'b:B', 'c:C']);
+  // Les listes fusionnées, échangées à leur tour, ne changent plus rien
+  assert.equal(isSameTaskList(mergeTaskLists(tabA, mergedB, mergedA), mergedA), true);
+});
+
+test('a reorder made after an edit in the other tab is kept', () => {
+  const ordered = [{ ...base[0], order: 0 }, { ...base[1], order: 1 }, { ...base[2], order: 2 }];
+  // L'autre onglet a modifié c à 9 h; cet onglet déplace ensuite c en tête à 10 h
+  const remote = [ordered[0], ordered[1], { ...ordered[2], title: 'C edited', updatedAt: '2026-03-19T09:00:00.000Z' }];
+  const local = moveInOrder(ordered, 'c', 'a', 'before', { updatedAt: '2026-03-19T10:00:00.000Z' });
+  const merged = mergeTaskLists(ordered, local, remote);
+  assert.equal(merged.find(item => item.id === 'c').order < 0, true);
+  assert.deepEqual(mergeTaskLists(ordered, remote, local).find(item => item.id === 'c'), local.find(item => item.id === 'c'));
+});
+
+test('isSameTaskList compares content and order', () => {
+  assert.equal(isSameTaskList(base, base.map(item => ({ ...item }))), true);
+  assert.equal(isSameTaskList(base, [base[1], base[0], base[2]]), false);
+  assert.equal(isSameTaskList(base, [task('a', 'A2'), base[1], base[2]]), false);
+});
+
+// Canal partagé entre deux "onglets" (un message n'est pas renvoyé à son émetteur)
+function createChannelClass() {
+  const channels = [];
+  return class FakeChannel {
+    constructor(name) {
+      this.name = name;
+      channels.push(this);
+    }
+    postMessage(data) {
+      channels
+        .filter(channel => channel !== this && channel.name === this.name)
+        .forEach(channel => channel.onmessage({ data: structuredClone(data) }));
+    }
+    close() {}
+  };
+}
+
+function createMemoryAdapter() {
+  const values = new Map();
+  const lists = new Map();
+  return {
+    kind: 'indexedDB',
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, value),
+    removeItem: key => values.delete(key),
+    getTasks: key => lists.get(key) || null,
+    setTasks: (key, list) => lists.set(key, list),
+    receive(key, value) {
+      if (key.startsWith('todo.tasks.v1.')) lists.set(key, value);
+      else if (value === null) values.delete(key);
+      else values.set(key, value);
+    },
+  };
+}
+
+test('writes reach the other tab through the channel and update its copy', () => {
+  const Channel = createChannelClass();
+  const received = [];
+  const tabA = connectTabs(createMemoryAdapter(), { BroadcastChannel: Channel, onChange: () => {} });
+  const tabB = connectTabs(createMemoryAdapter(), { BroadcastChannel: Channel, onChange: (key, value) => received.push([key, value]) });
+
+  tabA.setItem('todo.session.v1', '{"id":"alice"}');
+  tabA.setTasks('todo.tasks.v1.alice', [{ id: 'a', title: 'A', dueAt: undefined }]);
+  tabA.removeItem('todo.session.v1');
+  assert.deepEqual(received, [
+    ['todo.session.v1', '{"id":"alice"}'],
+    ['todo.tasks.v1.alice', [{ id: 'a', title: 'A' }]],
+    ['todo.session.v1', null],
+  ]);
+  assert.deepEqual(tabB.getTasks('todo.tasks.v1.alice'), [{ id: 'a', title: 'A' }]);
+  assert.equal(tabB.getItem('todo.session.v1'), null);
+  assert.equal(SYNC_CHANNEL, 'todo-sync');
+});
+
+test('the localStorage adapter relies on the storage event', () => {
+  const listeners = [];
+  const eventTarget = { addEventListener: (type, listener) => listeners.push([type, listener]) };
+  const received = [];
+  const adapter = { kind: 'localStorage' };
+  assert.equal(connectTabs(adapter, { eventTarget, onChange: (key, value) => received.push([key, value]) }), adapter);
+  const [[type, listener]] = listeners;
+  assert.equal(type, 'storage');
+  listener({ key: 'todo.tasks.v1.alice', newValue: '[{"id":"a"}]' });
+  listener({ key: 'todo.users.v1', newValue: '{}' });
+  listener({ key: 'other.app', newValue: 'x' });
+  listener({ key: null, newValue: null });
+  listener({ key: 'todo.tasks.v1.bob', newValue: null });
+  assert.deepEqual(received, [
+    ['todo.tasks.v1.alice', [{ id: 'a' }]],
+    ['todo.users.v1', '{}'],
+    ['todo.tasks.v1.bob', []],
+  ]);
+});
+
+// Onglet de l'application réduit à sa liste de tâches: même fusion que app.js (applyRemoteTasks)
+function createTab(Channel, initial) {
+  const key = 'todo.tasks.v1.alice';
+  const tab = { tasks: initial, synced: initial };
+  const save = () => {
+    tab.store.setTasks(key, tab.tasks);
+    tab.synced = tab.tasks;
+  };
+  tab.store = connectTabs(createMemoryAdapter(), {
+    BroadcastChannel: Channel,
+    onChange: (changedKey, remote) => {
+      const merged = mergeTaskLists(tab.synced, tab.tasks, remote);
+      tab.synced = remote;
+      tab.tasks = merged;
+      if (!isSameTaskList(merged, remote)) save();
+    },
+  });
+  tab.edit = change => {
+    tab.tasks = change(tab.tasks);
+    save();
+  };
+  return tab;
+}
+
+// Canal dont les messages attendent deliver() (une boucle entre onglets ne se termine pas)
+function createQueuedChannelClass() {
+  const channels = [];
+  const queue = [];
+  class QueuedChannel {
+    constructor(name) {
+      this.name = name;
+      channels.push(this);
+    }
+    postMessage(data) {
+      channels
+        .filter(channel => channel !== this && channel.name === this.name)
+        .forEach(channel => queue.push(() => channel.onmessage({ data: structuredClone(data) })));
+    }
+    close() {}
+  }
+  QueuedChannel.deliver = () => {
+    let count = 0;
+    while (queue.length > 0 && count < 20) {
+      queue.shift()();
+      count += 1;
+    }
+    return queue.length === 0;
+  };
+  return QueuedChannel;
+}
+
+test('an edit then a deletion in the other tab converge in both directions', () => {
+  [['A', 'B'], ['B', 'A']].forEach(([editor, deleter]) => {
+    const Channel = createQueuedChannelClass();
+    const tabs = { A: createTab(Channel, base), B: createTab(Channel, base) };
+
+    tabs[editor].edit(list => list.map(item => (item.id === 'a' ? task('a', 'A edited', '2026-03-19T09:00:00.000Z') : item)));
+    assert.equal(Channel.deliver(), true);
+    tabs[deleter].edit(list => list.filter(item => item.id !== 'a'));
+    assert.equal(Channel.deliver(), true);
+    // La suppression, faite après avoir reçu la modification, n'est pas annulée
+    assert.deepEqual(titles(tabs.A.tasks), ['b:B', 'c:C']);
+    assert.deepEqual(titles(tabs.B.tasks), ['b:B', 'c:C']);
+
+    tabs[deleter].edit(list => [task('new', 'New'), ...list]);
+    assert.equal(Channel.deliver(), true);
+    tabs[editor].edit(list => list.filter(item => item.id !== 'new'));
+    assert.equal(Channel.deliver(), true);
+    assert.deepEqual(titles(tabs.A.tasks), titles(tabs.B.tasks));
+    assert.deepEqual(titles(tabs.A.tasks), ['b:B', 'c:C']);
+  });
+});
@@ -1,6 +1,8 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
+import { getWeekRangeISO, normalizeDate } from '../dates.js';
+
 function compareCreated(a, b) {
   return new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime();
 }
@@ -35,39 +37,6 @@ function sortTasks(listToSort, currentSort) {
   return copy;
 }
 
-function parseISOToLocalDate(iso) {
-  if (!iso || typeof iso !== 'string') return new Date();
-  const parts = iso.split('-').map(Number);
-  const d = new Date();
-  d.setFullYear(parts[0], (parts[1] || 1) - 1, parts[2] || 1);
-  d.setHours(0, 0, 0, 0);
-  return d;
-}
-
-function toISODateLocal(d) {
-  const copy = new Date(d.getTime());
-  copy.setMinutes(copy.getMinutes() - copy.getTimezoneOffset());
-  return copy.toISOString().slice(0, 10);
-}
-
-function getWeekRangeISO(anchorISO) {
-  const d = parseISOToLocalDate(anchorISO);
-  const day = d.getDay();
-  const deltaToMonday = day === 0 ? -6 : 1 - day;
-  const monday = new Date(d.getTime());
-  monday.setDate(d.getDate() + deltaToMonday);
-  const sunday = new Date(monday.getTime());
-  sunday.setDate(monday.getDate() + 6);
-  return { start: toISODateLocal(monday), end: toISODateLocal(sunday) };
-}
-
-function normalizeDate(value) {
-  if (!value) return undefined;
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) return undefined;
-  return date.toISOString().slice(0, 10);
-}
-
 function getVisibleTasks({ tasks, currentFilter = 'all', agendaScope = 'all', agendaDate, currentSort = 'created' }) {
   let filtered = tasks.filter(task => {
     if (currentFilter === 'active') return !task.completed;
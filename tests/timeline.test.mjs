@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  findOverlaps,
+  formatTimeRange,
+  layoutTimeline,
+  minutesToTime,
+  normalizeDuration,
+  normalizeTime,
+  snapMinutes,
+  timeToMinutes,
+} from '../timeline.js';
+
+test('normalizeTime accepts HH:MM and rejects invalid values', () => {
+  assert.equal(normalizeTime('9:05'), '09:05');
+  assert.equal(normalizeTime('23:59'), '23:59');
+  assert.equal(normalizeTime('24:00'), undefined);
+  assert.equal(normalizeTime('12:60'), undefined);
+  assert.equal(normalizeTime('noon'), undefined);
+  assert.equal(normalizeTime(undefined), undefined);
+});
+
+test('normalizeDuration keeps whole minutes between 5 and 1440', () => {
+  assert.equal(normalizeDuration('45'), 45);
+  assert.equal(normalizeDuration(1440), 1440);
+  assert.equal(normalizeDuration(2), undefined);
+  assert.equal(normalizeDuration(12.5), undefined);
+  assert.equal(normalizeDuration(''), undefined);
+});
+
+test('minute conversions, snapping and ranges', () => {
+  assert.equal(timeToMinutes('09:30'), 570);
+  assert.equal(minutesToTime(570), '09:30');
+  assert.equal(minutesToTime(-20), '00:00');
+  assert.equal(minutesToTime(5000), '23:59');
+  assert.equal(snapMinutes(37), 30);
+  assert.equal(snapMinutes(38), 45);
+  assert.equal(formatTimeRange('09:00', 90), '09:00–10:30');
+  assert.equal(formatTimeRange('23:30', undefined), '23:30–24:00');
+});
+
+test('layoutTimeline puts overlapping tasks side by side', () => {
+  const layout = layoutTimeline([
+    { id: 'a', startTime: '09:00', duration: 60 },
+    { id: 'b', startTime: '09:30', duration: 60 },
+    { id: 'c', startTime: '10:00', duration: 30 },
+    { id: 'd', startTime: '14:00' },
+    { id: 'x' },
+  ]);
+  const byId = Object.fromEntries(layout.map(event => [event.id, event]));
+  assert.deepEqual(Object.keys(byId).sort(), ['a', 'b', 'c', 'd']);
+  assert.deepEqual([byId.a.lane, byId.b.lane, byId.c.lane], [0, 1, 0]);
+  assert.equal(byId.a.lanes, 2);
+  assert.equal(byId.c.lanes, 2);
+  assert.deepEqual([byId.d.lane, byId.d.lanes, byId.d.end], [0, 1, 900]);
+});
+
+test('findOverlaps reports intersecting pairs but not touching ones', () => {
+  const pairs = findOverlaps([
+    { id: 'a', startTime: '09:00', duration: 60 },
+    { id: 'b', startTime: '10:00', duration: 30 },
+    { id: 'c', startTime: '09:45', duration: 30 },
+  ]);
+  assert.deepEqual(pairs, [['a', 'c'], ['c', 'b']]);
+  assert.deepEqual(findOverlaps([{ id: 'a', startTime: '08:00', duration: 30 }, { id: 'b', startTime: '08:30' }]), []);
+});
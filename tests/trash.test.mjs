@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { purgeExpiredTrash } from '../trash.js';
+
+const now = Date.parse('2026-03-19T12:00:00.000Z');
+const trash = [
+  { id: 'recent', deletedAt: '2026-03-18T12:00:00.000Z' },
+  { id: 'limit', deletedAt: '2026-02-17T12:00:00.000Z' },
+  { id: 'old', deletedAt: '2026-01-01T00:00:00.000Z' },
+];
+const ids = list => list.map(item => item.id);
+
+test('tasks deleted longer ago than the retention are purged', () => {
+  assert.deepEqual(ids(purgeExpiredTrash(trash, 30, now)), ['recent']);
+  assert.deepEqual(ids(purgeExpiredTrash(trash, 31, now)), ['recent', 'limit']);
+  assert.deepEqual(ids(purgeExpiredTrash(trash, 1, now)), []);
+});
+
+test('a retention of 0 days keeps the trash as is', () => {
+  assert.equal(purgeExpiredTrash(trash, 0, now), trash);
+  // Rien d'expiré: même tableau (pas d'écriture inutile)
+  assert.equal(purgeExpiredTrash(trash, 365, now), trash);
+});
@@ -0,0 +1,113 @@
+/*
+  timeline.js — Heures de début, durées et placement des tâches sur la journée
+  - Heure de début au format HH:MM (24 h), durée en minutes (5 min à 24 h)
+  - Placement en "couloirs": les tâches qui se chevauchent sont affichées côte à côte
+  - Détection des chevauchements pour signaler un planning surchargé
+*/
+
+export const DEFAULT_DURATION = 60;
+export const SNAP_MINUTES = 15;
+const MIN_DURATION = 5;
+const DAY_MINUTES = 24 * 60;
+
+// Heure "HH:MM" valide (accepte "9:05") ou undefined
+export function normalizeTime(value) {
+  if (typeof value !== 'string') return undefined;
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return undefined;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return undefined;
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+// Durée en minutes (entier entre 5 et 1440) ou undefined
+export function normalizeDuration(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < MIN_DURATION || minutes > DAY_MINUTES) return undefined;
+  return minutes;
+}
+
+export function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Minutes depuis minuit → "HH:MM" (borné à la journée)
+export function minutesToTime(total) {
+  const clamped = Math.min(Math.max(Math.round(total), 0), DAY_MINUTES - 1);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(clamped / 60))}:${pad(clamped % 60)}`;
+}
+
+// Arrondit au pas de la grille (15 min par défaut)
+export function snapMinutes(minutes, step = SNAP_MINUTES) {
+  return Math.round(minutes / step) * step;
+}
+
+// Plage lisible, ex: "09:00–10:30"
+export function formatTimeRange(startTime, duration) {
+  if (!startTime) return '';
+  const start = timeToMinutes(startTime);
+  const end = Math.min(start + (duration || DEFAULT_DURATION), DAY_MINUTES);
+  const endLabel = end === DAY_MINUTES ? '24:00' : minutesToTime(end);
+  return `${startTime}–${endLabel}`;
+}
+
+// Intervalle [start, end) en minutes d'un élément { startTime, duration }
+function toInterval(item) {
+  const start = timeToMinutes(item.startTime);
+  return { start, end: Math.min(start + (item.duration || DEFAULT_DURATION), DAY_MINUTES) };
+}
+
+// Place les éléments { id, startTime, duration } dans des couloirs:
+// renvoie [{ id, start, end, lane, lanes }] où lanes = couloirs du groupe de chevauchement
+export function layoutTimeline(items) {
+  const events = items
+    .filter(item => item.startTime)
+    .map(item => ({ id: item.id, ...toInterval(item) }))
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const placed = [];
+  let group = [];
+  let groupEnd = -1;
+  let laneEnds = [];
+  const closeGroup = () => {
+    group.forEach(event => { event.lanes = laneEnds.length; });
+    group = [];
+    laneEnds = [];
+  };
+
+  events.forEach(event => {
+    if (event.start >= groupEnd) closeGroup();
+    let lane = laneEnds.findIndex(end => end <= event.start);
+    if (lane === -1) {
+      lane = laneEnds.length;
+      laneEnds.push(event.end);
+    } else {
+      laneEnds[lane] = event.end;
+    }
+    const entry = { ...event, lane, lanes: 1 };
+    group.push(entry);
+    placed.push(entry);
+    groupEnd = Math.max(groupEnd, event.end);
+  });
+  closeGroup();
+  return placed;
+}
+
+// Paires [idA, idB] d'éléments qui se chevauchent (se toucher n'est pas chevaucher)
+export function findOverlaps(items) {
+  const events = items
+    .filter(item => item.startTime)
+    .map(item => ({ id: item.id, ...toInterval(item) }))
+    .sort((a, b) => a.start - b.start);
+  const pairs = [];
+  events.forEach((event, index) => {
+    for (let next = index + 1; next < events.length && events[next].start < event.end; next += 1) {
+      pairs.push([event.id, events[next].id]);
+    }
+  });
+  return pairs;
+}
@@ -0,0 +1,17 @@
+/*
+  trash.js — Corbeille d'un compte (sans DOM: utilisé par app.js et par les tests)
+  - Chaque tâche supprimée garde ses champs et reçoit deletedAt (date ISO de la suppression)
+  - Rétention en jours (réglage du compte): au-delà, la tâche est effacée définitivement;
+    0 = gardée jusqu'à ce qu'on la retire
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Corbeille sans les tâches supprimées depuis plus de retentionDays jours
+// (même tableau si aucune n'a expiré)
+export function purgeExpiredTrash(trash, retentionDays, now = Date.now()) {
+  if (!(retentionDays > 0)) return trash;
+  const limit = now - retentionDays * DAY_MS;
+  const kept = trash.filter(item => Date.parse(item.deletedAt) > limit);
+  return kept.length === trash.length ? trash : kept;
+}